@@ -0,0 +1,242 @@
+// ===========================
+// 🔧 Audio Utils - mu-law codec and WAV helpers
+// Telephony audio is 8000Hz mono, mu-law on the wire, PCM16 for analysis
+// ===========================
+
+const SAMPLE_RATE = 8000;
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+/**
+ * Decode mu-law bytes to 16-bit little-endian PCM
+ * @param {Buffer} mulawBuffer
+ * @returns {Buffer} PCM16 buffer
+ */
+function decodeMulaw(mulawBuffer) {
+  const mulawToLinear = (mulaw) => {
+    mulaw = ~mulaw;
+    const sign = mulaw & 0x80;
+    const exponent = (mulaw >> 4) & 7;
+    const mantissa = mulaw & 0x0F;
+
+    // G.711: remove the bias after shifting, so digital silence decodes to 0
+    let sample = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+    if (sign) sample = -sample;
+
+    return sample;
+  };
+
+  const pcmBuffer = Buffer.alloc(mulawBuffer.length * 2);
+
+  for (let i = 0; i < mulawBuffer.length; i++) {
+    const pcmValue = mulawToLinear(mulawBuffer[i]);
+    pcmBuffer.writeInt16LE(pcmValue, i * 2);
+  }
+
+  return pcmBuffer;
+}
+
+/**
+ * Encode one linear sample to a mu-law byte (G.711)
+ * @param {number} sample - Signed 16-bit sample
+ * @returns {number}
+ */
+function linearToMulaw(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  if (sign) sample = -sample;
+  if (sample > MULAW_CLIP) sample = MULAW_CLIP;
+  sample += MULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+
+  const mantissa = (sample >> (exponent + 3)) & 0x0F;
+  return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+}
+
+/**
+ * Encode 16-bit little-endian PCM to mu-law bytes
+ * @param {Buffer} pcmBuffer
+ * @returns {Buffer}
+ */
+function encodeMulaw(pcmBuffer) {
+  const mulawBuffer = Buffer.alloc(Math.floor(pcmBuffer.length / 2));
+
+  for (let i = 0; i < mulawBuffer.length; i++) {
+    mulawBuffer[i] = linearToMulaw(pcmBuffer.readInt16LE(i * 2));
+  }
+
+  return mulawBuffer;
+}
+
+/**
+ * Root-mean-square level of 16-bit PCM
+ * @param {Buffer} pcmBuffer
+ * @returns {number} RMS (0 to 32768)
+ */
+function rms(pcmBuffer) {
+  const sampleCount = Math.floor(pcmBuffer.length / 2);
+  if (sampleCount === 0) return 0;
+
+  let sumSquares = 0;
+  for (let i = 0; i < sampleCount; i++) {
+    const sample = pcmBuffer.readInt16LE(i * 2);
+    sumSquares += sample * sample;
+  }
+
+  return Math.sqrt(sumSquares / sampleCount);
+}
+
+/**
+ * Zero crossings per second of 16-bit PCM (8000Hz)
+ * @param {Buffer} pcmBuffer
+ * @returns {number}
+ */
+function zeroCrossingRate(pcmBuffer) {
+  const sampleCount = Math.floor(pcmBuffer.length / 2);
+  if (sampleCount === 0) return 0;
+
+  let zeroCrossings = 0;
+  let prevSample = 0;
+
+  for (let i = 0; i < sampleCount; i++) {
+    const sample = pcmBuffer.readInt16LE(i * 2);
+    if ((prevSample >= 0 && sample < 0) || (prevSample < 0 && sample >= 0)) {
+      zeroCrossings++;
+    }
+    prevSample = sample;
+  }
+
+  return zeroCrossings / (sampleCount / SAMPLE_RATE);
+}
+
+/**
+ * Parse a RIFF/WAVE file
+ * @param {Buffer} buffer
+ * @returns {Object} { audioFormat, channels, sampleRate, bitsPerSample, data }
+ */
+function parseWav(buffer) {
+  if (buffer.toString("ascii", 0, 4) !== "RIFF" || buffer.toString("ascii", 8, 12) !== "WAVE") {
+    throw new Error("Not a WAV file");
+  }
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString("ascii", offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === "fmt ") {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (chunkId === "data") {
+      data = buffer.subarray(body, Math.min(body + chunkSize, buffer.length));
+    }
+
+    // Chunks are word-aligned
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  if (!format || !data) {
+    throw new Error("WAV file is missing fmt or data chunk");
+  }
+
+  return { ...format, data };
+}
+
+/**
+ * Convert a parsed WAV to 8000Hz mono mu-law.
+ * Accepts mu-law (format 7) or 16-bit PCM (format 1) at any rate.
+ * @param {Object} wav - Result of parseWav
+ * @returns {Buffer}
+ */
+function wavToMulaw(wav) {
+  if (wav.audioFormat === 7 && wav.channels === 1 && wav.sampleRate === SAMPLE_RATE) {
+    return Buffer.from(wav.data);
+  }
+
+  let pcm;
+  if (wav.audioFormat === 7) {
+    pcm = decodeMulaw(wav.data);
+  } else if (wav.audioFormat === 1 && wav.bitsPerSample === 16) {
+    pcm = wav.data;
+  } else {
+    throw new Error(`Unsupported WAV format ${wav.audioFormat}/${wav.bitsPerSample}-bit`);
+  }
+
+  // Keep the first channel, then resample (nearest sample) to 8000Hz
+  const frameCount = Math.floor(pcm.length / (2 * wav.channels));
+  const ratio = wav.sampleRate / SAMPLE_RATE;
+  const outCount = Math.floor(frameCount / ratio);
+  const out = Buffer.alloc(outCount * 2);
+
+  for (let i = 0; i < outCount; i++) {
+    const frame = Math.min(frameCount - 1, Math.floor(i * ratio));
+    out.writeInt16LE(pcm.readInt16LE(frame * 2 * wav.channels), i * 2);
+  }
+
+  return encodeMulaw(out);
+}
+
+/**
+ * Build a WAV file around raw audio
+ * @param {Buffer} data - Sample data (interleaved if stereo)
+ * @param {Object} [format] - { audioFormat: 7 (mu-law) | 1 (PCM), channels, sampleRate, bitsPerSample }
+ * @returns {Buffer}
+ */
+function buildWav(data, format = {}) {
+  return Buffer.concat([buildWavHeader(data.length, format), data]);
+}
+
+/**
+ * The 44-byte WAV header alone, for audio streamed after it
+ * @param {number} dataLength - Bytes of sample data that will follow
+ * @param {Object} [format] - As for buildWav
+ * @returns {Buffer}
+ */
+function buildWavHeader(dataLength, format = {}) {
+  const audioFormat = format.audioFormat || 7;
+  const channels = format.channels || 1;
+  const sampleRate = format.sampleRate || SAMPLE_RATE;
+  const bitsPerSample = format.bitsPerSample || (audioFormat === 7 ? 8 : 16);
+  const blockAlign = channels * bitsPerSample / 8;
+
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(audioFormat, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(dataLength, 40);
+
+  return header;
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  decodeMulaw,
+  encodeMulaw,
+  linearToMulaw,
+  rms,
+  zeroCrossingRate,
+  parseWav,
+  wavToMulaw,
+  buildWav,
+  buildWavHeader
+};
@@ -3,18 +3,74 @@
 // Fixes: Multiple speakers, tick sounds, better audio quality
 // ===========================
 
-const speech = require("@google-cloud/speech");
-const textToSpeech = require("@google-cloud/text-to-speech");
-const { Translate } = require("@google-cloud/translate").v2;
 const VoiceAnalyzer = require("./voice-analyzer");
+const { getTokenParticipant, getListenerGroups } = require("./room-session");
+const { resolveProviders } = require("./providers");
+const { decodeMulaw } = require("./audio-utils");
+const RecognitionStream = require("./recognition-stream");
+const VoiceActivityDetector = require("./voice-activity-detector");
+const { getRecorder } = require("./call-recorder");
+const { selectVoice, mapProfileToAudioConfig } = require("./voice-matcher");
+const PlaybackQueue = require("./playback-queue");
+const LanguageDetector = require("./language-detector");
+const { verifyRoomToken } = require("./room-auth");
+const { getRoomLimitExceeded } = require("./rate-limits");
+const { recordUsage } = require("./usage-meter");
+const metrics = require("./metrics");
+const { createLogger } = require("./logger");
+const { protectTerms, restoreTerms, getRoomGlossary } = require("./glossary");
+const {
+  getRoomModeration,
+  findMatches,
+  maskText,
+  markText,
+  omitMatches,
+  splitForBleeps,
+  bleepTone
+} = require("./moderation");
+
+// Voice matching is on unless the deployment or the room turns it off
+const VOICE_MATCHING = process.env.VOICE_MATCHING !== "false";
+
+// Audio analyzed per utterance for the voice profile (1s)
+const MAX_ANALYSIS_BYTES = 16000;
+
+// Barge-in: what to do when a listener talks over translated playback.
+// "always" interrupts at speech start, "never" lets it play out,
+// "after" interrupts once they have talked for minSpeechMs.
+const BARGE_IN_DEFAULTS = {
+  policy: process.env.BARGE_IN_POLICY || "after",
+  minSpeechMs: parseInt(process.env.BARGE_IN_MIN_SPEECH_MS) || 300
+};
+
+// Detect the spoken language even when the participant picked one
+// (legs without a language always detect)
+const LANGUAGE_DETECTION = process.env.LANGUAGE_DETECTION === "true";
+
+// "stream" (default) keeps one streaming STT session per leg;
+// "batch" calls recognize() once per VAD utterance
+const STT_MODE = process.env.STT_MODE || "stream";
+
+// Utterances recognized below this confidence (0..1) are not translated;
+// the speaker is asked to repeat instead. Rooms may set their own.
+const MIN_CONFIDENCE = process.env.STT_MIN_CONFIDENCE !== undefined
+  ? parseFloat(process.env.STT_MIN_CONFIDENCE)
+  : 0.5;
+
+// Written in English, spoken in the speaker's language
+const REPEAT_PROMPT = "Sorry, I didn't catch that. Could you please repeat?";
+
+const XML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&apos;" };
+
+function escapeXml(text) {
+  return text.replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+}
 
 class AdvancedVoiceProcessor {
   constructor(websocket, activeSessions) {
     this.ws = websocket;
     this.activeSessions = activeSessions;
-    this.speechClient = new speech.SpeechClient();
-    this.ttsClient = new textToSpeech.TextToSpeechClient();
-    this.translateClient = new Translate();
+    this.providers = resolveProviders();
     this.voiceAnalyzer = new VoiceAnalyzer();
 
     // Connection info
@@ -24,18 +80,56 @@ class AdvancedVoiceProcessor {
     this.streamSid = null;
     this.callSid = null;
     this.userId = null;
-
-    // Audio buffering - FIXED for better quality
-    this.audioBuffer = [];
-    this.bufferDuration = 0;
-    this.maxBufferDuration = 1500;  // Reduced to 1.5s for faster response
-    this.minBufferDuration = 400;   // Minimum 400ms
-    this.isProcessing = false;
-    this.silenceTimeout = null;
+    this.identity = null;
+    // Set once the stream's token matches a participant on the roster
+    this.registered = false;
+
+    // Every line carries this connection's room/call/stream/userType
+    this.log = createLogger("media", () => ({
+      roomId: this.roomId,
+      callSid: this.callSid,
+      streamSid: this.streamSid,
+      userType: this.userType
+    }));
+    this.sttLog = this.log.forSubsystem("stt");
+    this.translationLog = this.log.forSubsystem("translation");
+    this.ttsLog = this.log.forSubsystem("tts");
+
+    // Utterance segmentation: only speech frames go past the VAD
+    this.vad = new VoiceActivityDetector();
+    this.utteranceFrames = [];
     
     // FIX: Prevent concurrent processing
-    this.processingQueue = [];
-    this.isCurrentlyProcessing = false;
+    this.processingQueue = Promise.resolve();
+
+    // Streaming recognition session (null in batch mode)
+    this.recognitionStream = null;
+    // When the VAD last heard speech end (latency metrics)
+    this.speechEndedAt = null;
+
+    // Spoken-language detection (null when the language is trusted)
+    this.languageDetector = null;
+
+    // "Please repeat" prompt audio, language -> mu-law
+    this.repeatPrompts = new Map();
+
+    // Room recorder (null unless the room records)
+    this.recorder = null;
+
+    // Adapt synthesis to this speaker's voice
+    this.voiceMatching = VOICE_MATCHING;
+
+    // Translated audio for this leg, paced at real time
+    this.playback = new PlaybackQueue(message => this.sendMessage(message), {
+      onFrame: frame => {
+        if (this.recorder) {
+          this.recorder.write(this.userType, "outbound", frame);
+        }
+      }
+    });
+    this.bargeIn = { ...BARGE_IN_DEFAULTS };
+    this.speechStartedAt = null;
+    this.interruptedUtterance = false;
 
     // Stats
     this.stats = {
@@ -43,7 +137,16 @@ class AdvancedVoiceProcessor {
       transcriptions: 0,
       translations: 0,
       audiosSent: 0,
-      errors: 0
+      interimResults: 0,
+      utterances: 0,
+      bargeIns: 0,
+      repeatPrompts: 0,
+      typedMessages: 0,
+      errors: 0,
+      // Metered usage (billing)
+      sttSeconds: 0,
+      translatedChars: 0,
+      synthesizedChars: 0
     };
   }
 
@@ -59,294 +162,790 @@ class AdvancedVoiceProcessor {
         this.handleStop(data);
         break;
       case "mark":
+        this.handleMark(data);
         break;
     }
   }
 
   handleStart(data) {
-    console.log("▶️  Media stream started");
     this.streamSid = data.streamSid;
     this.callSid = data.start?.callSid;
-    this.userId = `${this.roomId}_${this.userType}`;
 
     const params = data.start?.customParameters || {};
+
+    // The stream must carry the participant's room token
+    const claims = verifyRoomToken(params.token);
+    if (!claims || claims.roomId !== params.roomId || claims.role !== params.userType) {
+      this.log.warn("Media stream rejected: missing or invalid room token");
+      this.ws.close();
+      return;
+    }
+
     this.roomId = params.roomId;
     this.userType = params.userType;
-    this.myLanguage = params.myLanguage;
+    this.identity = claims.identity;
+    this.myLanguage = params.myLanguage && params.myLanguage !== "auto" ? params.myLanguage : null;
+    this.userId = `${this.roomId}_${this.userType}`;
 
-    console.log(`🎯 Connection Details:
-   Room: ${this.roomId}
-   User: ${this.userType}
-   Language: ${this.myLanguage}`);
+    this.log.info("Media stream started", { language: this.myLanguage || "auto" });
+
+    if (!this.registerConnection()) {
+      this.ws.close();
+      return;
+    }
+    this.startRecognitionStream();
+  }
 
-    if (!this.myLanguage) {
-      console.error("❌ ERROR: myLanguage parameter is missing!");
+  /**
+   * Open the long-lived streaming STT session for this leg.
+   * Interim results become partial captions; only finals are translated.
+   */
+  startRecognitionStream() {
+    const recognizer = this.providers.recognizer;
+    if (STT_MODE === "batch" || typeof recognizer.createStream !== "function") {
       return;
     }
 
-    this.registerConnection();
+    this.recognitionStream = new RecognitionStream(recognizer, {
+      ...this.getRecognitionLanguages(),
+      logger: this.sttLog,
+      onInterim: (result) => {
+        this.stats.interimResults++;
+        if (global.updateCaption) {
+          // Live captions are masked like final transcripts
+          const moderation = getRoomModeration(this.activeSessions.get(this.roomId));
+          const flagged = moderation ? findMatches(result.transcript, this.myLanguage, moderation.lists) : [];
+          global.updateCaption(this.roomId, this.userType, {
+            text: maskText(result.transcript, flagged),
+            language: this.myLanguage,
+            stability: result.stability
+          });
+        }
+      },
+      onFinal: (result) => {
+        if (global.updateCaption) {
+          global.updateCaption(this.roomId, this.userType, null);
+        }
+        const language = this.noteDetectedLanguage(result.languageCode);
+
+        // The recognizer may finalize before the VAD hears the end
+        const speechEndedAt = this.speechEndedAt || Date.now();
+        this.speechEndedAt = null;
+        this.observeSttLatency(language, speechEndedAt);
+
+        this.enqueue(() => this.handleTranscript(result.transcript, language, {
+          speechEndedAt: speechEndedAt,
+          confidence: result.confidence,
+          words: result.words
+        }));
+      }
+    });
+
+    this.sttLog.info("Streaming recognition ready", { language: this.myLanguage || "auto" });
+  }
+
+  /**
+   * Recognizer language settings: the leg's language, plus candidates
+   * to pick from while detection is on
+   * @returns {Object} { languageCode, alternativeLanguageCodes }
+   */
+  getRecognitionLanguages() {
+    if (!this.languageDetector) {
+      return { languageCode: this.toLanguageCode(this.myLanguage), alternativeLanguageCodes: [] };
+    }
+
+    const [primary, ...alternatives] = this.languageDetector.getLanguages(this.myLanguage);
+    return {
+      languageCode: this.toLanguageCode(primary),
+      alternativeLanguageCodes: alternatives.map(language => this.toLanguageCode(language))
+    };
   }
 
+  /**
+   * Feed the language the recognizer reported into detection
+   * @param {string} [languageCode] - e.g. "hi-in"
+   * @returns {string} Language the utterance was spoken in
+   */
+  noteDetectedLanguage(languageCode) {
+    if (!this.languageDetector || !languageCode) {
+      return this.myLanguage;
+    }
+
+    const switchTo = this.languageDetector.observe(languageCode, this.myLanguage);
+    if (switchTo) {
+      this.setLanguage(switchTo);
+    }
+
+    // The transcript is in whatever language was recognized
+    return languageCode.split("-")[0].toLowerCase();
+  }
+
+  /**
+   * Switch this leg to a detected language: it is translated from and
+   * hears translations in that language from now on
+   */
+  setLanguage(language) {
+    const previous = this.myLanguage;
+    this.myLanguage = language;
+    this.sttLog.info("Language detected", { from: previous, to: language });
+
+    const session = this.activeSessions.get(this.roomId);
+    const participant = this.getOwnParticipant(session);
+    if (participant) {
+      participant.language = language;
+      this.activeSessions.set(this.roomId, session);
+    }
+
+    if (this.recognitionStream) {
+      const { languageCode, alternativeLanguageCodes } = this.getRecognitionLanguages();
+      this.recognitionStream.setLanguages(languageCode, alternativeLanguageCodes);
+    }
+
+    if (global.publishRoomEvent) {
+      global.publishRoomEvent(this.roomId, "language-changed", {
+        userType: this.userType,
+        from: previous,
+        to: language,
+        detected: true
+      });
+    }
+  }
+
+  /**
+   * Utterances are handled strictly in order, one at a time
+   * @returns {Promise} Settles once the task has run
+   */
+  enqueue(task) {
+    this.processingQueue = this.processingQueue
+      .then(task)
+      .catch((error) => {
+        this.log.error("Processing error", { error: error });
+        this.stats.errors++;
+        metrics.errors.inc({ stage: "pipeline" });
+      });
+    return this.processingQueue;
+  }
+
+  /**
+   * The participant this leg's token was issued to, while it is still
+   * on the roster (a later holder of the same userType is someone else)
+   * @param {Object} [session]
+   * @returns {Object|null}
+   */
+  getOwnParticipant(session = this.activeSessions.get(this.roomId)) {
+    if (!session) return null;
+    return getTokenParticipant(session, { role: this.userType, identity: this.identity });
+  }
+
+  /**
+   * Attach this leg to its participant in the room
+   * @returns {boolean} false if the stream may not join
+   */
   registerConnection() {
-    if (!this.roomId) return;
+    if (!this.roomId) return false;
 
     const session = this.activeSessions.get(this.roomId);
     if (!session) {
-      console.error("❌ Room not found:", this.roomId);
-      return;
+      this.log.error("Room not found");
+      return false;
     }
 
-    if (this.userType === "caller") {
-      session.callerConnection = this;
-    } else {
-      session.receiverConnection = this;
+    // Only a participant still on the roster (connected, reconnecting or
+    // not yet connected) gets a leg; one that left or was removed does not
+    const participant = this.getOwnParticipant(session);
+    if (!participant) {
+      this.log.warn("Media stream rejected: not a participant of this room");
+      return false;
+    }
+
+    participant.connection = this;
+    this.registered = true;
+
+    // The call-duration limit counts from the first leg connecting
+    session.callStartedAt = session.callStartedAt || Date.now();
+
+    // Without a language from the stream, start from the roster's (set
+    // at join, or detected earlier) and keep detecting
+    const languageGiven = !!this.myLanguage;
+    this.myLanguage = this.myLanguage || participant.language || null;
+    participant.language = this.myLanguage;
+
+    if (!languageGiven || session.languageDetection || (LANGUAGE_DETECTION && session.languageDetection !== false)) {
+      this.languageDetector = new LanguageDetector({
+        candidates: session.languageCandidates,
+        preferred: session.participants.map(p => p.language)
+      });
+    }
+
+    // Room-level provider overrides (e.g. offline providers for a test room)
+    if (session.providers) {
+      this.providers = resolveProviders(session.providers);
+    }
+
+    if (session.vad) {
+      this.vad = new VoiceActivityDetector(session.vad);
+    }
+
+    if (session.recording) {
+      this.recorder = getRecorder(this.roomId);
+    }
+
+    if (session.voiceMatching === false) {
+      this.voiceMatching = false;
+    }
+
+    if (session.bargeIn) {
+      this.bargeIn = {
+        policy: session.bargeIn.policy || this.bargeIn.policy,
+        minSpeechMs: session.bargeIn.minSpeechMs || this.bargeIn.minSpeechMs
+      };
     }
 
     this.activeSessions.set(this.roomId, session);
-    console.log(`✅ Registered ${this.userType} in room ${this.roomId}`);
+    this.log.info("Registered in room", { detecting: !!this.languageDetector });
+
+    if (global.publishRoomEvent) {
+      global.publishRoomEvent(this.roomId, "participant-connected", {
+        userType: this.userType,
+        language: this.myLanguage
+      });
+    }
+
+    if (global.onLegConnected) {
+      global.onLegConnected(this.roomId, this.userType);
+    }
+    return true;
   }
 
   async handleMedia(data) {
-    if (!this.myLanguage) return;
+    if (!this.registered) return;
+
+    metrics.packetsReceived.inc();
+
+    // Left or removed while the stream stayed open: the audio is nobody's
+    if (!this.getOwnParticipant()) {
+      metrics.droppedBuffers.inc({ reason: "not_a_participant" });
+      return;
+    }
+
+    if (!this.myLanguage && !this.languageDetector) {
+      metrics.droppedBuffers.inc({ reason: "no_language" });
+      return;
+    }
 
     this.stats.packetsReceived++;
     const audioChunk = Buffer.from(data.media.payload, "base64");
-    this.audioBuffer.push(audioChunk);
-    this.bufferDuration += 20;
 
-    if (this.silenceTimeout) {
-      clearTimeout(this.silenceTimeout);
+    if (this.recorder) {
+      this.recorder.write(this.userType, "inbound", audioChunk);
     }
 
-    if (this.bufferDuration >= this.maxBufferDuration && !this.isProcessing) {
-      await this.processBuffer();
-    } else {
-      // FIX: Reduced silence timeout to 600ms for faster response
-      this.silenceTimeout = setTimeout(async () => {
-        if (this.audioBuffer.length > 0 && 
-            !this.isProcessing && 
-            this.bufferDuration >= this.minBufferDuration) {
-          await this.processBuffer();
-        }
-      }, 600);
+    const { event, frames, durationMs } = this.vad.process(decodeMulaw(audioChunk));
+
+    if (event === "idle") {
+      return;
+    }
+
+    if (event === "start") {
+      this.stats.utterances++;
+      metrics.utterances.inc({ language: this.myLanguage || "auto" });
+      // Speech began once startMs of it was heard
+      this.speechStartedAt = Date.now() - this.vad.options.startMs;
+      this.interruptedUtterance = false;
+    }
+
+    if (event === "start" || event === "speech") {
+      this.checkBargeIn();
+    }
+
+    this.utteranceFrames.push(...frames);
+
+    if (this.recognitionStream) {
+      for (const frame of frames) {
+        this.recognitionStream.write(frame);
+      }
+      // Flush so the recognizer finalizes right away
+      if (event === "end") {
+        this.recognitionStream.end();
+      }
+    }
+
+    if (event === "end") {
+      const pcmAudio = Buffer.concat(this.utteranceFrames);
+      this.utteranceFrames = [];
+      this.log.debug("Utterance ended", { durationMs: durationMs });
+      this.speechEndedAt = Date.now();
+      this.chargeAudio(durationMs);
+      this.meterUsage({ sttMs: durationMs }, this.myLanguage || "auto");
+
+      if (this.voiceMatching) {
+        this.voiceAnalyzer.analyzeVoice(pcmAudio.subarray(0, MAX_ANALYSIS_BYTES), this.userId);
+      }
+
+      if (!this.recognitionStream) {
+        const speechEndedAt = this.speechEndedAt;
+        this.enqueue(() => this.processBuffer(pcmAudio, speechEndedAt));
+      }
+    }
+  }
+
+  /**
+   * Twilio echoes a mark once the audio before it has played
+   * (or immediately, for marks dropped by a clear)
+   */
+  handleMark(data) {
+    const name = data.mark?.name;
+    if (name) {
+      this.playback.handleMark(name);
     }
   }
 
-  async processBuffer() {
-    // FIX: Strong lock to prevent concurrent processing
-    if (this.isCurrentlyProcessing || this.audioBuffer.length === 0 || !this.myLanguage) {
+  isPlaybackPending() {
+    return this.playback.isPending();
+  }
+
+  /**
+   * This leg is talking: stop translated audio still queued for it,
+   * according to the barge-in policy
+   */
+  checkBargeIn() {
+    const { policy, minSpeechMs } = this.bargeIn;
+    if (policy === "never" || this.interruptedUtterance || !this.isPlaybackPending()) {
       return;
     }
 
-    this.isCurrentlyProcessing = true;
-    this.isProcessing = true;
-    
-    if (this.silenceTimeout) {
-      clearTimeout(this.silenceTimeout);
-      this.silenceTimeout = null;
+    const spokenMs = Date.now() - this.speechStartedAt;
+    if (policy === "after" && spokenMs < minSpeechMs) {
+      return;
     }
 
-    const mulawAudio = Buffer.concat(this.audioBuffer);
-    const bufferLengthMs = this.bufferDuration;
+    this.interruptedUtterance = true;
+    this.clearPlayback();
+    this.log.info("Barge-in, playback cleared", { spokenMs: spokenMs });
+
+    if (global.publishRoomEvent) {
+      global.publishRoomEvent(this.roomId, "barge-in", { userType: this.userType, spokenMs: spokenMs });
+    }
+  }
+
+  /**
+   * Drop queued translated audio and send Twilio's clear event
+   */
+  clearPlayback() {
+    if (!this.ws || this.ws.readyState !== 1) return;
+
+    const dropped = this.playback.clear();
+    metrics.droppedBuffers.inc({ reason: "barge_in" }, dropped);
+    this.stats.bargeIns++;
+  }
+
+  /**
+   * Send one message on this leg's media stream
+   */
+  sendMessage(message) {
+    if (!this.ws || this.ws.readyState !== 1) return;
+
+    this.ws.send(JSON.stringify({ ...message, streamSid: this.streamSid }));
+  }
+
+  /**
+   * STT latency, once per language the transcript will be translated into
+   * ("none" while nobody else is listening)
+   */
+  observeSttLatency(sourceLanguage, speechEndedAt) {
+    const session = this.activeSessions.get(this.roomId);
+    const targets = session ? Array.from(getListenerGroups(session, this.userType).keys()) : [];
 
-    // FIX: Clear buffer immediately to prevent reprocessing
-    this.audioBuffer = [];
-    this.bufferDuration = 0;
+    for (const targetLanguage of targets.length > 0 ? targets : ["none"]) {
+      metrics.sttLatency.observeSince({ source_language: sourceLanguage, target_language: targetLanguage }, speechEndedAt);
+    }
+  }
 
-    if (bufferLengthMs < this.minBufferDuration) {
-      this.isProcessing = false;
-      this.isCurrentlyProcessing = false;
+  /**
+   * Batch mode: transcribe one whole utterance
+   * @param {Buffer} pcmAudio - PCM audio (16-bit, 8000Hz)
+   */
+  async processBuffer(pcmAudio, speechEndedAt = Date.now()) {
+    if (!this.myLanguage && !this.languageDetector) {
       return;
     }
 
-    try {
-      const pcmAudio = this.decodeMulaw(mulawAudio);
+    // Transcribe
+    const result = await this.transcribeAudioEnhanced(pcmAudio);
+    if (!result) {
+      return;
+    }
 
-      // FIX: Use stable voice profile (don't analyze every time)
-      const voiceProfile = this.getStableVoiceProfile();
+    const language = this.noteDetectedLanguage(result.languageCode);
+    this.observeSttLatency(language, speechEndedAt);
 
-      // Transcribe
-      const transcript = await this.transcribeAudioEnhanced(pcmAudio, this.myLanguage);
+    await this.handleTranscript(result.transcript, language, {
+      speechEndedAt: speechEndedAt,
+      confidence: result.confidence,
+      words: result.words
+    });
+  }
 
-      if (!transcript || transcript.trim().length < 2) {
-        this.isProcessing = false;
-        this.isCurrentlyProcessing = false;
-        return;
-      }
+  /**
+   * Store a final transcript and fan it out to every listener
+   * @param {string} transcript
+   * @param {string} [language] - Language it was spoken in (default: the leg's)
+   * @param {Object} [meta] - { speechEndedAt, confidence, words, typed }
+   */
+  async handleTranscript(transcript, language = this.myLanguage, meta = {}) {
+    if (!transcript || transcript.trim().length < 2) {
+      return;
+    }
 
-      console.log(`🎤 [${this.userType}] Spoke: ${transcript}`);
+    if (meta.typed) {
+      this.log.info("Typed message", { language: language, text: transcript });
+      this.stats.typedMessages++;
+    } else {
+      this.sttLog.info("Final transcript", { language: language, transcript: transcript });
       this.stats.transcriptions++;
+    }
 
-      // Store for UI
-      if (global.addTranslation) {
-        global.addTranslation(this.roomId, this.userType, {
-          originalText: transcript,
-          translatedText: transcript,
-          fromLanguage: this.myLanguage,
-          toLanguage: this.myLanguage,
-          isIncoming: false,
-          timestamp: Date.now()
-        });
-      }
+    const session = this.activeSessions.get(this.roomId);
 
-      // Get other user
-      const session = this.activeSessions.get(this.roomId);
-      if (!session) {
-        this.isProcessing = false;
-        this.isCurrentlyProcessing = false;
+    // Left or removed since it was said: its userType may be someone
+    // else's by now, so nothing is stored or played
+    const speaker = this.getOwnParticipant(session);
+    if (session && !speaker) {
+      this.log.debug("Transcript dropped, no longer a participant");
+      return;
+    }
+
+    // Flagged words are masked in the stored transcript and replaced by a
+    // marker for the translator; in "drop" mode the utterance goes no further
+    const moderation = getRoomModeration(session);
+    const flagged = moderation ? findMatches(transcript, language, moderation.lists) : [];
+    if (flagged.length > 0) {
+      this.recordModeration(moderation.mode, "transcript", language, flagged.length);
+      if (moderation.mode === "drop") {
         return;
       }
+    }
+
+    // Recognizers without a confidence score never trigger the prompt
+    const minConfidence = typeof session?.minConfidence === "number" ? session.minConfidence : MIN_CONFIDENCE;
+    const lowConfidence = typeof meta.confidence === "number" && meta.confidence < minConfidence;
+
+    // Store for UI (word confidences let it highlight uncertain words)
+    const shownText = maskText(transcript, flagged);
+    const shownWords = (meta.words || []).map(w => ({
+      word: moderation ? maskText(w.word, findMatches(w.word, language, moderation.lists)) : w.word,
+      confidence: w.confidence
+    }));
+
+    if (global.addTranslation) {
+      global.addTranslation(this.roomId, this.userType, {
+        originalText: shownText,
+        translatedText: shownText,
+        fromLanguage: language,
+        toLanguage: language,
+        confidence: typeof meta.confidence === "number" ? meta.confidence : null,
+        words: shownWords,
+        lowConfidence: lowConfidence,
+        typed: !!meta.typed,
+        isIncoming: false,
+        timestamp: Date.now()
+      });
+    }
 
-      const otherConnection = this.userType === "caller"
-        ? session.receiverConnection
-        : session.callerConnection;
+    if (lowConfidence) {
+      this.sttLog.info("Low confidence, asking to repeat", { confidence: meta.confidence, minConfidence: minConfidence });
+      this.askToRepeat(language);
+      return;
+    }
 
-      if (!otherConnection || !otherConnection.myLanguage) {
-        console.log("⚠️  Other user not ready");
-        this.isProcessing = false;
-        this.isCurrentlyProcessing = false;
+    // Get listeners, grouped by the language they hear
+    if (!session) {
+      return;
+    }
+
+    // An operator paused this leg's translation
+    if (speaker.translationPaused) {
+      this.log.debug("Not translating this leg");
+      return;
+    }
+
+    const listenerGroups = getListenerGroups(session, this.userType);
+
+    if (listenerGroups.size === 0) {
+      this.log.debug("No other participant connected");
+      return;
+    }
+
+    // FIX: Use stable voice profile (don't analyze every time)
+    const voiceProfile = this.getStableVoiceProfile();
+
+    // Translate + synthesize once per distinct target language
+    const textToTranslate = markText(transcript, flagged);
+    await Promise.all(
+      Array.from(listenerGroups.entries()).map(([targetLanguage, listeners]) =>
+        this.deliverTranslation(textToTranslate, language, targetLanguage, listeners, voiceProfile, { ...meta, moderation, shownTranscript: shownText, shownWords })
+      )
+    );
+  }
+
+  /**
+   * Translate a transcript into one target language and play it
+   * to every listener of that language
+   */
+  async deliverTranslation(transcript, fromLanguage, targetLanguage, listeners, voiceProfile, meta = {}) {
+    const pair = `${fromLanguage}:${targetLanguage}`;
+    const translationStartedAt = Date.now();
+
+    const translatedText = await this.translateText(
+      transcript,
+      fromLanguage,
+      targetLanguage
+    );
+
+    // Markers from the transcript, plus anything the listener's lists flag
+    const moderation = meta.moderation || null;
+    const flagged = moderation ? findMatches(translatedText, targetLanguage, moderation.lists) : [];
+    const newlyFlagged = flagged.filter(match => !match.marker).length;
+    if (newlyFlagged > 0) {
+      this.recordModeration(moderation.mode, "translation", targetLanguage, newlyFlagged);
+      if (moderation.mode === "drop") {
         return;
       }
+    }
 
-      const otherUserLanguage = otherConnection.myLanguage;
-
-      // Translate
-      const translatedText = await this.translateText(
-        transcript,
-        this.myLanguage,
-        otherUserLanguage
-      );
-
-      console.log(`🌐 Translated: ${translatedText}`);
-      this.stats.translations++;
-
-      // Store for UI
-      if (global.addTranslation) {
-        global.addTranslation(this.roomId, otherConnection.userType, {
-          originalText: transcript,
-          translatedText: translatedText,
-          fromLanguage: this.myLanguage,
-          toLanguage: otherUserLanguage,
+    const shownText = maskText(translatedText, flagged);
+    this.translationLog.info("Translated", { pair: pair, translatedText: shownText });
+    this.stats.translations++;
+
+    if (fromLanguage.split("-")[0] !== targetLanguage.split("-")[0]) {
+      metrics.translationLatency.observeSince({ pair: pair }, translationStartedAt);
+      this.meterUsage({ translatedChars: transcript.length }, pair);
+    }
+
+    // Store for UI
+    if (global.addTranslation) {
+      for (const listener of listeners) {
+        global.addTranslation(this.roomId, listener.userType, {
+          originalText: meta.shownTranscript || transcript,
+          translatedText: shownText,
+          confidence: typeof meta.confidence === "number" ? meta.confidence : null,
+          words: meta.shownWords || [],
+          fromLanguage: fromLanguage,
+          toLanguage: targetLanguage,
+          speaker: this.userType,
+          typed: !!meta.typed,
           isIncoming: true,
           timestamp: Date.now()
         });
       }
+    }
 
-      // FIX: Generate smooth speech without ticks
-      const translatedAudio = await this.generateSmoothSpeech(
-        translatedText,
-        otherUserLanguage,
-        voiceProfile
-      );
-
-      if (!translatedAudio) {
-        console.error("❌ Failed to generate speech");
-        this.isProcessing = false;
-        this.isCurrentlyProcessing = false;
-        return;
-      }
+    // FIX: Generate smooth speech without ticks
+    const ttsStartedAt = Date.now();
+    let translatedAudio;
+    if (flagged.length > 0 && moderation.mode === "bleep") {
+      translatedAudio = await this.synthesizeWithBleeps(splitForBleeps(translatedText, flagged), targetLanguage, voiceProfile);
+    } else {
+      const spokenText = omitMatches(translatedText, flagged);
+      if (!spokenText) return;
+      translatedAudio = await this.generateSmoothSpeech(spokenText, targetLanguage, voiceProfile);
+    }
+    metrics.ttsLatency.observeSince({ pair: pair }, ttsStartedAt);
 
-      await this.sendToOtherUser(translatedAudio, otherConnection);
+    if (!translatedAudio) {
+      this.ttsLog.error("Failed to generate speech", { pair: pair });
+      return;
+    }
 
-    } catch (error) {
-      console.error("❌ Processing error:", error.message);
-      this.stats.errors++;
-    } finally {
-      this.isProcessing = false;
-      this.isCurrentlyProcessing = false;
+    this.chargeAudio(translatedAudio.length / 8);
+    this.meterUsage({ synthesizedChars: shownText.length }, pair);
+
+    if (!this.activeSessions.has(this.roomId)) {
+      // The room ended while this utterance was being synthesized
+      return;
     }
+
+    await Promise.all(
+      listeners.map(listener => this.sendToOtherUser(translatedAudio, listener, {
+        onStart: () => {
+          if (meta.speechEndedAt) {
+            metrics.endToEndLatency.observeSince({ pair: pair }, meta.speechEndedAt);
+          }
+        }
+      }))
+    );
   }
 
-  decodeMulaw(mulawBuffer) {
-    const MULAW_BIAS = 0x84;
+  /**
+   * A message typed by this participant: stored, translated and spoken
+   * to every listener exactly like a spoken utterance, in order with them
+   * @param {string} text
+   * @param {string} [language] - Language it is written in (default: the leg's)
+   * @returns {Promise}
+   */
+  handleTypedMessage(text, language = this.myLanguage) {
+    return this.enqueue(() => this.handleTranscript(text, language, { typed: true }));
+  }
 
-    const mulawToLinear = (mulaw) => {
-      mulaw = ~mulaw;
-      const sign = mulaw & 0x80;
-      const exponent = (mulaw >> 4) & 7;
-      const mantissa = mulaw & 0x0F;
+  /**
+   * Ask the speaker, in their own language, to say that again. The
+   * prompt is synthesized once per language for this leg.
+   * @param {string} [language] - Language the utterance was spoken in
+   */
+  async askToRepeat(language) {
+    const promptLanguage = language || this.myLanguage || "en";
+    this.stats.repeatPrompts++;
+    metrics.lowConfidenceUtterances.inc({ language: promptLanguage });
+
+    let audio = this.repeatPrompts.get(promptLanguage);
+    if (!audio) {
+      const text = await this.translateText(REPEAT_PROMPT, "en", promptLanguage);
+      audio = await this.generateSmoothSpeech(text, promptLanguage, this.voiceAnalyzer.getDefaultProfile());
+      if (!audio) return;
+      this.repeatPrompts.set(promptLanguage, audio);
+    }
 
-      let sample = (mantissa << (exponent + 3)) + (MULAW_BIAS << exponent);
-      if (exponent === 0) sample += MULAW_BIAS;
-      if (sign) sample = -sample;
+    this.playback.enqueue(audio);
+  }
 
-      return sample;
-    };
+  /**
+   * Synthesize text with tones where flagged words were
+   * @param {Array<Object>} parts - From splitForBleeps
+   * @returns {Promise<Buffer|null>} 8kHz mu-law
+   */
+  async synthesizeWithBleeps(parts, language, voiceProfile) {
+    const buffers = [];
+    for (const part of parts) {
+      if (part.bleepMs) {
+        buffers.push(bleepTone(part.bleepMs));
+        continue;
+      }
+
+      const audio = await this.generateSmoothSpeech(part.text, language, voiceProfile);
+      if (!audio) return null;
+      buffers.push(audio);
+    }
+    return Buffer.concat(buffers);
+  }
+
+  /**
+   * A transcript or translation was flagged (the words themselves are
+   * never logged or published)
+   */
+  recordModeration(mode, stage, language, count) {
+    metrics.moderationEvents.inc({ stage: stage, mode: mode });
+    this.log.info("Moderated", { stage: stage, language: language, mode: mode, count: count });
+
+    if (global.publishRoomEvent) {
+      global.publishRoomEvent(this.roomId, "moderation", {
+        speaker: this.userType,
+        stage: stage,
+        language: language,
+        mode: mode,
+        count: count
+      });
+    }
+  }
 
-    const pcmBuffer = Buffer.alloc(mulawBuffer.length * 2);
+  /**
+   * Say a notice to this leg, in its own language (e.g. why an operator
+   * removed it). Anything still queued for it is dropped first.
+   * @param {string} text
+   * @param {string} [fromLanguage] - Language the notice is written in
+   * @returns {Promise<string>} "played" | "cleared" | "closed" | "failed"
+   */
+  async speakNotice(text, fromLanguage = "en") {
+    const language = this.myLanguage || fromLanguage;
+    const message = await this.translateText(text, fromLanguage, language);
+    const audio = await this.generateSmoothSpeech(message, language, this.voiceAnalyzer.getDefaultProfile());
 
-    for (let i = 0; i < mulawBuffer.length; i++) {
-      const pcmValue = mulawToLinear(mulawBuffer[i]);
-      pcmBuffer.writeInt16LE(pcmValue, i * 2);
+    if (!audio) {
+      return "failed";
     }
 
-    return pcmBuffer;
+    const dropped = this.playback.clear();
+    if (dropped > 0) {
+      metrics.droppedBuffers.inc({ reason: "notice" }, dropped);
+    }
+    return this.playback.enqueue(audio);
   }
 
   /**
-   * FIX: Get stable voice profile (analyze only first few times)
+   * Voice profile used for synthesis: the analyzer's running (smoothed)
+   * profile of this speaker, or a neutral one when matching is off
    */
   getStableVoiceProfile() {
-    if (!this.stableProfile) {
-      this.stableProfile = {
-        pitch: 0,
-        speed: 1.0,
-        energy: 0,
-        gender: 'neutral'
-      };
-      this.profileSamples = 0;
+    if (!this.voiceMatching) {
+      return this.voiceAnalyzer.getDefaultProfile();
     }
 
-    // Use default profile (fixes multiple speaker issue)
-    return this.stableProfile;
+    return this.voiceAnalyzer.getProfile(this.userId);
   }
 
   /**
-   * Enhanced transcription
+   * Count audio sent through STT or TTS against the room's budget,
+   * ending the room once it is used up
+   * @param {number} ms
    */
-  async transcribeAudioEnhanced(audioBuffer, language) {
-    try {
-      const languageMap = {
-        "en": "en-US",
-        "te": "te-IN",
-        "hi": "hi-IN",
-        "es": "es-ES",
-        "fr": "fr-FR",
-        "de": "de-DE"
-      };
+  chargeAudio(ms) {
+    const session = this.activeSessions.get(this.roomId);
+    if (!session) return;
 
-      const languageCode = languageMap[language] || language;
+    session.audioMs = (session.audioMs || 0) + Math.round(ms);
+    this.activeSessions.set(this.roomId, session);
 
-      const request = {
-        audio: { content: audioBuffer.toString("base64") },
-        config: {
-          encoding: "LINEAR16",
-          sampleRateHertz: 8000,
-          languageCode: languageCode,
-          enableAutomaticPunctuation: true,
-          model: "latest_short",  // FIX: Use short model for faster response
-          useEnhanced: true,
-          enableWordConfidence: false  // FIX: Disable for faster processing
-        }
-      };
+    const reason = getRoomLimitExceeded(session);
+    if (reason && global.endRoom) {
+      this.log.warn("Room over its limit", { reason: reason });
+      global.endRoom(this.roomId, reason);
+    }
+  }
 
-      const [response] = await this.speechClient.recognize(request);
+  /**
+   * Meter billable usage for this speaker, in stats and on the room
+   * @param {Object} usage - { sttMs, translatedChars, synthesizedChars }
+   * @param {string} key - Language ("en") or language pair ("en:hi")
+   */
+  meterUsage(usage, key) {
+    this.stats.sttSeconds = Math.round((this.stats.sttSeconds + (usage.sttMs || 0) / 1000) * 100) / 100;
+    this.stats.translatedChars += usage.translatedChars || 0;
+    this.stats.synthesizedChars += usage.synthesizedChars || 0;
 
-      if (!response.results || response.results.length === 0) {
-        return null;
-      }
+    const session = this.activeSessions.get(this.roomId);
+    if (!session) return;
+
+    recordUsage(session, this.userType, usage, key);
+    this.activeSessions.set(this.roomId, session);
+  }
 
-      return response.results
-        .map(r => r.alternatives[0]?.transcript)
-        .filter(Boolean)
-        .join(" ");
+  /**
+   * Enhanced transcription
+   * @returns {Object|null} { transcript, languageCode }
+   */
+  async transcribeAudioEnhanced(audioBuffer) {
+    try {
+      return await this.providers.recognizer.recognize(audioBuffer, this.getRecognitionLanguages());
 
     } catch (error) {
-      console.error("❌ Transcription error:", error.message);
+      this.sttLog.error("Transcription error", { error: error });
+      metrics.errors.inc({ stage: "stt" });
       return null;
     }
   }
 
+  toLanguageCode(language) {
+    const languageMap = {
+      "en": "en-US",
+      "te": "te-IN",
+      "hi": "hi-IN",
+      "es": "es-ES",
+      "fr": "fr-FR",
+      "de": "de-DE"
+    };
+
+    return languageMap[language] || language;
+  }
+
   async translateText(text, fromLanguage, toLanguage) {
     try {
       const from = fromLanguage.split("-")[0];
@@ -356,15 +955,16 @@ class AdvancedVoiceProcessor {
         return text;
       }
 
-      const [translation] = await this.translateClient.translate(text, {
-        from: from,
-        to: to
-      });
+      // Glossary terms go around the translator, whichever provider it is
+      const glossary = getRoomGlossary(this.activeSessions.get(this.roomId));
+      const { text: protectedText, replacements } = protectTerms(text, glossary, from, to);
 
-      return translation;
+      const translated = await this.providers.translator.translate(protectedText, from, to);
+      return restoreTerms(translated, replacements);
 
     } catch (error) {
-      console.error("❌ Translation error:", error.message);
+      this.translationLog.error("Translation error", { from: fromLanguage, to: toLanguage, error: error });
+      metrics.errors.inc({ stage: "translation" });
       return text;
     }
   }
@@ -410,38 +1010,53 @@ class AdvancedVoiceProcessor {
       };
 
       const baseLang = language.split("-")[0];
-      const voiceConfig = consistentVoiceMap[baseLang] || {
+      let voiceConfig = consistentVoiceMap[baseLang] || {
         languageCode: language,
         ssmlGender: "NEUTRAL"
       };
 
+      // FIX: Neutral settings unless the speaker's voice is matched
+      let tuning = { pitch: 0, speakingRate: 1.0, volumeGainDb: 1.5 };
+
+      // Voice matching: speaker's gender picks the voice, their
+      // (smoothed) pitch/speed/loudness tune it
+      const hasProfile = voiceProfile && voiceProfile.samples > 0 &&
+        (voiceProfile.gender === "male" || voiceProfile.gender === "female");
+
+      if (this.voiceMatching && hasProfile) {
+        voiceConfig = selectVoice(this.toLanguageCode(language), voiceProfile.gender, this.userId) || voiceConfig;
+        tuning = mapProfileToAudioConfig(voiceProfile);
+      }
+
       // FIX: Simple SSML without too many breaks (prevents ticks)
       const ssmlText = this.buildSimpleSSML(text);
 
-      console.log(`🎵 Using consistent voice: ${voiceConfig.name || voiceConfig.languageCode}`);
+      this.ttsLog.debug("Synthesizing", { voice: voiceConfig.name || voiceConfig.languageCode, ...tuning });
 
       // FIX: Consistent audio settings (prevents ticks and quality issues)
       const request = {
-        input: { ssml: ssmlText },
+        text: text,
+        ssml: ssmlText,
         voice: voiceConfig,
         audioConfig: {
           audioEncoding: "MULAW",
           sampleRateHertz: 8000,
-          pitch: 0,  // FIX: Use neutral pitch for consistency
-          speakingRate: 1.0,  // FIX: Normal speed for clarity
-          volumeGainDb: 1.5,  // FIX: Moderate volume boost
+          pitch: tuning.pitch,
+          speakingRate: tuning.speakingRate,
+          volumeGainDb: tuning.volumeGainDb,
           effectsProfileId: ["telephony-class-application"]
         }
       };
 
-      const [response] = await this.ttsClient.synthesizeSpeech(request);
+      const audioContent = await this.providers.synthesizer.synthesize(request);
       
-      console.log(`✅ Generated ${response.audioContent.length} bytes of smooth audio`);
+      this.ttsLog.debug("Synthesized", { bytes: audioContent.length });
       
-      return response.audioContent;
+      return audioContent;
 
     } catch (error) {
-      console.error("❌ Smooth TTS error:", error.message);
+      this.ttsLog.error("TTS error", { language: language, error: error });
+      metrics.errors.inc({ stage: "tts" });
       return null;
     }
   }
@@ -450,8 +1065,9 @@ class AdvancedVoiceProcessor {
    * FIX: Build simple SSML (minimal breaks to prevent ticks)
    */
   buildSimpleSSML(text) {
-    // FIX: Only add breaks after sentences, not commas
-    let ssml = text
+    // Text is escaped first: typed messages may contain "&", "<" or markup
+    let ssml = escapeXml(text)
+      // FIX: Only add breaks after sentences, not commas
       .replace(/\./g, '.<break time="250ms"/>')
       .replace(/\?/g, '?<break time="300ms"/>')
       .replace(/!/g, '!<break time="300ms"/>');
@@ -460,102 +1076,93 @@ class AdvancedVoiceProcessor {
   }
 
   /**
-   * FIX: Send audio in larger chunks to prevent ticks
+   * Queue translated audio on a listener's leg. Resolves once queued;
+   * playback itself runs at real time behind any earlier clips.
+   * @param {Object} [options] - { onStart }: playback of this clip began
    */
-  async sendToOtherUser(audioBuffer, otherConnection) {
-    if (!audioBuffer || !otherConnection || !otherConnection.ws) {
+  async sendToOtherUser(audioBuffer, otherConnection, options = {}) {
+    if (!audioBuffer || !otherConnection || !otherConnection.playback) {
       return;
     }
 
-    if (otherConnection.ws.readyState !== 1) {
+    if (!otherConnection.ws || otherConnection.ws.readyState !== 1) {
+      metrics.droppedBuffers.inc({ reason: "listener_gone" });
       return;
     }
 
-    try {
-      const base64Audio = audioBuffer.toString("base64");
-      
-      // FIX: Use larger chunks (320 bytes instead of 160) to reduce ticking
-      const chunkSize = 320;  // Doubled chunk size
-      let chunkCount = 0;
-
-      // FIX: Add small delay between chunks for smoother playback
-      for (let i = 0; i < base64Audio.length; i += chunkSize) {
-        const chunk = base64Audio.slice(i, i + chunkSize);
-
-        const message = JSON.stringify({
-          event: "media",
-          streamSid: otherConnection.streamSid,
-          media: {
-            payload: chunk
-          }
-        });
+    const played = otherConnection.playback.enqueue(audioBuffer, options);
+    const { depth, remainingMs } = otherConnection.playback.getStatus();
 
-        otherConnection.ws.send(message);
-        chunkCount++;
+    this.stats.audiosSent++;
+    this.log.debug("Queued translated audio", {
+      listener: otherConnection.userType,
+      durationMs: Math.round(audioBuffer.length / 8),
+      depth: depth,
+      remainingMs: remainingMs
+    });
 
-        // FIX: Tiny delay every 10 chunks to prevent buffer overflow
-        if (chunkCount % 10 === 0) {
-          await new Promise(resolve => setTimeout(resolve, 5));
-        }
+    played.then(result => {
+      if (result !== "played") {
+        this.log.debug("Playback stopped early", { listener: otherConnection.userType, result: result });
       }
-
-      // Send completion marker
-      const markMessage = JSON.stringify({
-        event: "mark",
-        streamSid: otherConnection.streamSid,
-        mark: {
-          name: `audio_complete_${Date.now()}`
-        }
-      });
-      otherConnection.ws.send(markMessage);
-
-      this.stats.audiosSent++;
-      console.log(`🔊 Sent ${chunkCount} smooth audio chunks`);
-
-    } catch (error) {
-      console.error("❌ Error sending audio:", error.message);
-    }
+    });
   }
 
   handleStop(data) {
-    console.log("⏹️  Media stream stopped");
-    console.log("📊 Final stats:", this.stats);
-    
-    if (this.silenceTimeout) {
-      clearTimeout(this.silenceTimeout);
-    }
+    this.log.info("Media stream stopped", { stats: this.stats });
     
     this.cleanup();
   }
 
   cleanup() {
-    this.audioBuffer = [];
-    this.bufferDuration = 0;
-    this.isProcessing = false;
-    this.isCurrentlyProcessing = false;
+    const dropped = this.playback.close();
+    if (dropped > 0) {
+      metrics.droppedBuffers.inc({ reason: "leg_closed" }, dropped);
+    }
 
-    if (this.silenceTimeout) {
-      clearTimeout(this.silenceTimeout);
-      this.silenceTimeout = null;
+    if (this.recognitionStream) {
+      this.recognitionStream.close();
+      this.recognitionStream = null;
     }
 
+    this.utteranceFrames = [];
+    this.vad.reset();
+
     if (this.userId) {
       this.voiceAnalyzer.cleanup(this.userId);
     }
 
     if (this.roomId) {
       const session = this.activeSessions.get(this.roomId);
-      if (session) {
-        if (this.userType === "caller") {
-          session.callerConnection = null;
-        } else {
-          session.receiverConnection = null;
-        }
+      const participant = this.getOwnParticipant(session);
+      if (participant && participant.connection === this) {
+        participant.connection = null;
         this.activeSessions.set(this.roomId, session);
       }
     }
 
-    console.log("🧹 Processor cleaned up");
+    this.log.debug("Processor cleaned up");
+  }
+
+  /**
+   * A processor with no media leg, for a participant who only types
+   * @param {Object} activeSessions
+   * @param {string} roomId
+   * @param {Object} participant - Roster entry
+   * @returns {AdvancedVoiceProcessor}
+   */
+  static forTextOnly(activeSessions, roomId, participant) {
+    const processor = new AdvancedVoiceProcessor(null, activeSessions);
+    processor.roomId = roomId;
+    processor.userType = participant.userType;
+    processor.identity = participant.identity;
+    processor.myLanguage = participant.language;
+
+    const session = activeSessions.get(roomId);
+    if (session && session.providers) {
+      processor.providers = resolveProviders(session.providers);
+    }
+    return processor;
   }
 }
 
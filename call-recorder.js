@@ -0,0 +1,302 @@
+// ===========================
+// 🎞️ Call Recorder - Per-leg recording on a shared timeline
+// Each leg gets two mu-law tracks: "<userType>-inbound" (what they said)
+// and "<userType>-outbound" (translated audio played to them). Audio is
+// placed at its wall-clock offset from the room's first recorded packet,
+// so all tracks line up.
+// ===========================
+
+const fs = require("fs");
+const path = require("path");
+const { once } = require("events");
+const { SAMPLE_RATE, decodeMulaw, buildWav, buildWavHeader } = require("./audio-utils");
+const { createLogger } = require("./logger");
+
+const log = createLogger("recording");
+
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, "data", "recordings");
+const BYTES_PER_MS = SAMPLE_RATE / 1000;  // mu-law: 1 byte per sample
+const MULAW_SILENCE = 0xFF;
+
+// Packet jitter below this is not treated as a gap
+const GAP_TOLERANCE_MS = 100;
+
+// Stereo mixes are built this many samples (5s) at a time, yielding to
+// the event loop in between so live legs keep their playback pacing
+const MIX_CHUNK_SAMPLES = SAMPLE_RATE * 5;
+
+// roomId -> CallRecorder (live calls only)
+const recorders = new Map();
+
+class CallRecorder {
+  constructor(roomId) {
+    this.roomId = roomId;
+    this.dir = roomDir(roomId);
+    this.startedAt = Date.now();
+    this.tracks = new Map();  // name -> { stream, bytes }
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.writeMetadata();
+  }
+
+  /**
+   * Record audio on a leg's track at the current time
+   * @param {string} userType
+   * @param {string} direction - "inbound" | "outbound"
+   * @param {Buffer} mulawAudio
+   */
+  write(userType, direction, mulawAudio) {
+    const track = this.getTrack(`${userType}-${direction}`);
+    const offsetBytes = Math.floor((Date.now() - this.startedAt) * BYTES_PER_MS);
+
+    // Pad with silence up to "now"; audio arriving while the track is
+    // still ahead (e.g. a clip queued behind another) is appended
+    if (offsetBytes > track.bytes + GAP_TOLERANCE_MS * BYTES_PER_MS) {
+      const padding = Buffer.alloc(offsetBytes - track.bytes, MULAW_SILENCE);
+      track.stream.write(padding);
+      track.bytes += padding.length;
+    }
+
+    track.stream.write(mulawAudio);
+    track.bytes += mulawAudio.length;
+  }
+
+  getTrack(name) {
+    if (!this.tracks.has(name)) {
+      this.tracks.set(name, {
+        stream: fs.createWriteStream(path.join(this.dir, `${name}.ulaw`)),
+        bytes: 0
+      });
+      this.writeMetadata();
+    }
+    return this.tracks.get(name);
+  }
+
+  writeMetadata(endedAt) {
+    const metadata = {
+      roomId: this.roomId,
+      startedAt: this.startedAt,
+      endedAt: endedAt || null,
+      tracks: Array.from(this.tracks.keys())
+    };
+
+    // Write then rename, so a crash never leaves a torn metadata.json
+    const file = path.join(this.dir, "metadata.json");
+    try {
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(metadata, null, 2));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (error) {
+      log.error("Could not write recording metadata", { roomId: this.roomId, error: error });
+    }
+  }
+
+  finish() {
+    for (const track of this.tracks.values()) {
+      track.stream.end();
+    }
+    this.writeMetadata(Date.now());
+  }
+}
+
+function roomDir(roomId) {
+  return path.join(RECORDINGS_DIR, String(roomId).replace(/[^\w-]/g, "_"));
+}
+
+/**
+ * Recorder for a live room, created on first use
+ */
+function getRecorder(roomId) {
+  if (!recorders.has(roomId)) {
+    recorders.set(roomId, new CallRecorder(roomId));
+    log.info("Recording started", { roomId: roomId });
+  }
+  return recorders.get(roomId);
+}
+
+function finishRecording(roomId) {
+  const recorder = recorders.get(roomId);
+  if (!recorder) return;
+
+  recorder.finish();
+  recorders.delete(roomId);
+  log.info("Recording finished", { roomId: roomId });
+}
+
+function trackFile(roomId, name) {
+  return path.join(roomDir(roomId), `${String(name).replace(/[^\w-]/g, "_")}.ulaw`);
+}
+
+// Bytes recorded on a track, 0 if its file is missing
+function trackSize(roomId, name) {
+  try {
+    return fs.statSync(trackFile(roomId, name)).size;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * @returns {Object|null} { roomId, startedAt, endedAt, tracks: [{ name, durationMs }] },
+ *   or null if there is no readable recording
+ */
+function getRecordingInfo(roomId) {
+  const metadataFile = path.join(roomDir(roomId), "metadata.json");
+
+  let metadata;
+  try {
+    metadata = JSON.parse(fs.readFileSync(metadataFile, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      log.warn("Unreadable recording metadata", { roomId: roomId, error: error });
+    }
+    return null;
+  }
+
+  metadata.tracks = (metadata.tracks || []).map(name => ({
+    name: name,
+    durationMs: Math.round(trackSize(roomId, name) / BYTES_PER_MS)
+  }));
+  return metadata;
+}
+
+function readTrack(roomId, name) {
+  const file = trackFile(roomId, name);
+  return fs.existsSync(file) ? fs.readFileSync(file) : null;
+}
+
+/**
+ * One track as a mu-law WAV file
+ * @returns {Buffer|null}
+ */
+function getTrackWav(roomId, name) {
+  const audio = readTrack(roomId, name);
+  return audio ? buildWav(audio) : null;
+}
+
+/**
+ * Open a leg's tracks (what it said + what it heard) for mixing
+ * @returns {Promise<Array<Object>>} [{ handle, size }]
+ */
+async function openLeg(roomId, userType) {
+  const parts = [];
+  for (const direction of ["inbound", "outbound"]) {
+    try {
+      const handle = await fs.promises.open(trackFile(roomId, `${userType}-${direction}`), "r");
+      parts.push({ handle: handle, size: (await handle.stat()).size });
+    } catch (error) {
+      // No audio in that direction
+    }
+  }
+  return parts;
+}
+
+/**
+ * Sum one chunk of a leg's tracks into PCM16 samples
+ * @returns {Promise<Int32Array>}
+ */
+async function mixLegChunk(parts, offset, samples) {
+  const mix = new Int32Array(samples);
+  const chunk = Buffer.alloc(samples);
+
+  for (const part of parts) {
+    const { bytesRead } = await part.handle.read(chunk, 0, samples, offset);
+    const pcm = decodeMulaw(chunk.subarray(0, bytesRead));
+    for (let i = 0; i < bytesRead; i++) {
+      mix[i] += pcm.readInt16LE(i * 2);
+    }
+  }
+  return mix;
+}
+
+function clampSample(value) {
+  return Math.max(-32768, Math.min(32767, value));
+}
+
+/**
+ * Stream a stereo PCM16 WAV: left = one leg, right = another (both
+ * directions each). Mixed a chunk at a time, so a long call neither
+ * blocks the event loop nor sits in memory whole.
+ * @param {string} roomId
+ * @param {string} leftUserType
+ * @param {string} rightUserType
+ * @param {Object} output - Writable stream (e.g. the HTTP response); ended when done
+ * @returns {Promise<boolean>} false if there is no recording
+ */
+async function streamStereoMix(roomId, leftUserType, rightUserType, output) {
+  if (!getRecordingInfo(roomId)) return false;
+
+  const left = await openLeg(roomId, leftUserType);
+  const right = await openLeg(roomId, rightUserType);
+
+  try {
+    const samples = Math.max(0, ...left.concat(right).map(part => part.size));
+    output.write(buildWavHeader(samples * 4, { audioFormat: 1, channels: 2 }));
+
+    for (let offset = 0; offset < samples && !output.destroyed; offset += MIX_CHUNK_SAMPLES) {
+      const count = Math.min(MIX_CHUNK_SAMPLES, samples - offset);
+      const leftMix = await mixLegChunk(left, offset, count);
+      const rightMix = await mixLegChunk(right, offset, count);
+
+      const stereo = Buffer.alloc(count * 4);
+      for (let i = 0; i < count; i++) {
+        stereo.writeInt16LE(clampSample(leftMix[i]), i * 4);
+        stereo.writeInt16LE(clampSample(rightMix[i]), i * 4 + 2);
+      }
+
+      if (!output.write(stereo)) {
+        // A client that goes away never drains
+        await Promise.race([once(output, "drain"), once(output, "close")]);
+      } else {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    output.end();
+  } finally {
+    for (const part of left.concat(right)) {
+      await part.handle.close();
+    }
+  }
+  return true;
+}
+
+/**
+ * Delete finished recordings older than maxAgeMs
+ * @returns {number} Recordings deleted
+ */
+function pruneRecordings(maxAgeMs) {
+  if (!fs.existsSync(RECORDINGS_DIR)) return 0;
+
+  const now = Date.now();
+  let deleted = 0;
+
+  for (const roomId of fs.readdirSync(RECORDINGS_DIR)) {
+    if (recorders.has(roomId)) continue;
+
+    try {
+      // Without readable metadata, age the recording by its directory
+      const info = getRecordingInfo(roomId);
+      const finishedAt = info
+        ? info.endedAt || info.startedAt
+        : fs.statSync(roomDir(roomId)).mtimeMs;
+
+      if (now - finishedAt > maxAgeMs) {
+        fs.rmSync(roomDir(roomId), { recursive: true, force: true });
+        deleted++;
+      }
+    } catch (error) {
+      log.warn("Could not prune recording", { roomId: roomId, error: error });
+    }
+  }
+
+  return deleted;
+}
+
+module.exports = {
+  getRecorder,
+  finishRecording,
+  getRecordingInfo,
+  getTrackWav,
+  streamStereoMix,
+  pruneRecordings
+};
@@ -0,0 +1,244 @@
+// ===========================
+// 📖 Glossary - Forced term mappings and do-not-translate terms
+// Protected terms are swapped for placeholders before the translator
+// sees the text and put back afterwards, so every provider (Google or
+// local) leaves them alone.
+//
+// Shape: {
+//   terms: { <from>: { <to>: { <source term>: <target term> } } },
+//   doNotTranslate: [<term>]
+// }
+// ===========================
+
+const fs = require("fs");
+const { createLogger } = require("./logger");
+
+const log = createLogger("translation");
+
+// Account glossaries survive restarts only when GLOSSARY_FILE is set
+const GLOSSARY_FILE = process.env.GLOSSARY_FILE || null;
+
+const MAX_TERMS = 500;
+
+// accountId -> glossary
+const accountGlossaries = loadAccountGlossaries();
+
+function emptyGlossary() {
+  return { terms: {}, doNotTranslate: [] };
+}
+
+/**
+ * Validate and clean a glossary from a request body
+ * @param {Object} input
+ * @returns {Object} { glossary } or { error }
+ */
+function normalizeGlossary(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "glossary must be an object" };
+  }
+
+  const glossary = emptyGlossary();
+  let count = 0;
+
+  const terms = input.terms || {};
+  if (typeof terms !== "object" || Array.isArray(terms)) {
+    return { error: "glossary.terms must map from -> to -> { source: target }" };
+  }
+
+  for (const [from, targets] of Object.entries(terms)) {
+    if (!targets || typeof targets !== "object") {
+      return { error: `glossary.terms.${from} must map target languages to terms` };
+    }
+    for (const [to, mappings] of Object.entries(targets)) {
+      if (!mappings || typeof mappings !== "object") {
+        return { error: `glossary.terms.${from}.${to} must map source terms to target terms` };
+      }
+      const pair = {};
+      for (const [source, target] of Object.entries(mappings)) {
+        if (!source.trim() || typeof target !== "string") {
+          return { error: `Invalid term in glossary.terms.${from}.${to}` };
+        }
+        pair[source.trim()] = target;
+        count++;
+      }
+
+      const fromBase = baseLanguage(from);
+      glossary.terms[fromBase] = glossary.terms[fromBase] || {};
+      glossary.terms[fromBase][baseLanguage(to)] = { ...glossary.terms[fromBase][baseLanguage(to)], ...pair };
+    }
+  }
+
+  const doNotTranslate = input.doNotTranslate || [];
+  if (!Array.isArray(doNotTranslate) || doNotTranslate.some(term => typeof term !== "string")) {
+    return { error: "glossary.doNotTranslate must be a list of strings" };
+  }
+  glossary.doNotTranslate = [...new Set(doNotTranslate.map(term => term.trim()).filter(Boolean))];
+  count += glossary.doNotTranslate.length;
+
+  if (count > MAX_TERMS) {
+    return { error: `glossary is limited to ${MAX_TERMS} terms` };
+  }
+
+  return { glossary };
+}
+
+/**
+ * Combine glossaries; later ones win on conflicting terms
+ * (e.g. account first, then room)
+ */
+function mergeGlossaries(...glossaries) {
+  const merged = emptyGlossary();
+
+  for (const glossary of glossaries.filter(Boolean)) {
+    for (const [from, targets] of Object.entries(glossary.terms || {})) {
+      merged.terms[from] = merged.terms[from] || {};
+      for (const [to, mappings] of Object.entries(targets)) {
+        merged.terms[from][to] = { ...merged.terms[from][to], ...mappings };
+      }
+    }
+    merged.doNotTranslate.push(...(glossary.doNotTranslate || []));
+  }
+
+  merged.doNotTranslate = [...new Set(merged.doNotTranslate)];
+  return merged;
+}
+
+function baseLanguage(language) {
+  return String(language).split("-")[0].toLowerCase();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Replace protected terms with placeholders before translation
+ * @param {string} text
+ * @param {Object} glossary
+ * @param {string} from - e.g. "en" or "en-US"
+ * @param {string} to
+ * @returns {Object} { text, replacements } - replacements[i] fills placeholder i
+ */
+function protectTerms(text, glossary, from, to) {
+  if (!glossary) return { text, replacements: [] };
+
+  // Forced mappings become their target; do-not-translate terms come out
+  // spelled as configured (recognizers often lowercase names)
+  const rules = Object.entries(glossary.terms?.[baseLanguage(from)]?.[baseLanguage(to)] || {})
+    .map(([source, target]) => ({ source, target }));
+  for (const term of glossary.doNotTranslate || []) {
+    rules.push({ source: term, target: null });
+  }
+  if (rules.length === 0) return { text, replacements: [] };
+
+  // Longest first, so "Acme Cloud" wins over "Acme"
+  rules.sort((a, b) => b.source.length - a.source.length);
+
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(${rules.map(rule => escapeRegExp(rule.source)).join("|")})(?![\\p{L}\\p{N}])`,
+    "giu"
+  );
+  const replacements = [];
+
+  const protectedText = text.replace(pattern, match => {
+    const rule = rules.find(r => r.source.toLowerCase() === match.toLowerCase());
+    replacements.push(rule ? rule.target ?? rule.source : match);
+    return placeholder(replacements.length - 1);
+  });
+
+  return { text: protectedText, replacements };
+}
+
+// Bracketed digits come through machine translation untouched
+function placeholder(index) {
+  return `⟦${index}⟧`;
+}
+
+/**
+ * Put protected terms back into the translated text
+ * @param {string} text - Translator output
+ * @param {Array<string>} replacements - From protectTerms
+ * @returns {string}
+ */
+function restoreTerms(text, replacements) {
+  if (!replacements || replacements.length === 0) return text;
+
+  const restored = new Set();
+  let result = text.replace(/⟦\s*(\d+)\s*⟧/g, (match, index) => {
+    if (replacements[index] === undefined) return match;
+    restored.add(Number(index));
+    return replacements[index];
+  });
+
+  // A translator that dropped a placeholder still shouldn't lose the term
+  const missing = replacements.filter((term, index) => !restored.has(index));
+  if (missing.length > 0) {
+    log.warn("Glossary terms lost in translation, appended", { missing: missing.length });
+    result = `${result} ${missing.join(" ")}`;
+  }
+
+  return result;
+}
+
+// ----- Account glossaries -----
+
+function loadAccountGlossaries() {
+  if (!GLOSSARY_FILE || !fs.existsSync(GLOSSARY_FILE)) return new Map();
+
+  try {
+    return new Map(Object.entries(JSON.parse(fs.readFileSync(GLOSSARY_FILE, "utf8"))));
+  } catch (error) {
+    log.error("Could not read glossary file", { file: GLOSSARY_FILE, error: error });
+    return new Map();
+  }
+}
+
+function saveAccountGlossaries() {
+  if (!GLOSSARY_FILE) return;
+
+  try {
+    fs.writeFileSync(GLOSSARY_FILE, JSON.stringify(Object.fromEntries(accountGlossaries), null, 2));
+  } catch (error) {
+    log.error("Could not write glossary file", { file: GLOSSARY_FILE, error: error });
+  }
+}
+
+function getAccountGlossary(accountId) {
+  return accountGlossaries.get(accountId) || null;
+}
+
+function setAccountGlossary(accountId, glossary) {
+  accountGlossaries.set(accountId, glossary);
+  saveAccountGlossaries();
+}
+
+function deleteAccountGlossary(accountId) {
+  const deleted = accountGlossaries.delete(accountId);
+  saveAccountGlossaries();
+  return deleted;
+}
+
+/**
+ * Glossary in force for a room: its account's, overridden by its own
+ * @param {Object} session
+ * @returns {Object|null}
+ */
+function getRoomGlossary(session) {
+  if (!session) return null;
+
+  const account = session.accountId ? getAccountGlossary(session.accountId) : null;
+  if (!account && !session.glossary) return null;
+
+  return mergeGlossaries(account, session.glossary);
+}
+
+module.exports = {
+  normalizeGlossary,
+  mergeGlossaries,
+  protectTerms,
+  restoreTerms,
+  getAccountGlossary,
+  setAccountGlossary,
+  deleteAccountGlossary,
+  getRoomGlossary
+};
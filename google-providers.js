@@ -0,0 +1,163 @@
+// ===========================
+// ☁️ Google Cloud Providers
+// Speech-to-Text, Translation v2 and Text-to-Speech behind the provider interface
+// ===========================
+
+const speech = require("@google-cloud/speech");
+const textToSpeech = require("@google-cloud/text-to-speech");
+const { Translate } = require("@google-cloud/translate").v2;
+
+// Per-word confidence from a recognition alternative
+function toWords(alternative) {
+  return (alternative.words || []).map(w => ({ word: w.word, confidence: w.confidence }));
+}
+
+class GoogleRecognizer {
+  constructor() {
+    this.client = new speech.SpeechClient();
+  }
+
+  /**
+   * Recognize a complete utterance
+   * @param {Buffer} pcmBuffer - PCM audio data (16-bit, 8000Hz)
+   * @param {Object} options - { languageCode, alternativeLanguageCodes }
+   * @returns {Object|null} { transcript, languageCode, confidence, words, alternatives }
+   */
+  async recognize(pcmBuffer, options) {
+    const request = {
+      audio: { content: pcmBuffer.toString("base64") },
+      config: {
+        encoding: "LINEAR16",
+        sampleRateHertz: 8000,
+        languageCode: options.languageCode,
+        alternativeLanguageCodes: options.alternativeLanguageCodes || [],
+        enableAutomaticPunctuation: true,
+        model: "latest_short",  // FIX: Use short model for faster response
+        useEnhanced: true,
+        enableWordConfidence: true,
+        maxAlternatives: 3
+      }
+    };
+
+    const [response] = await this.client.recognize(request);
+
+    const results = (response.results || []).filter(r => r.alternatives?.[0]?.transcript);
+    if (results.length === 0) {
+      return null;
+    }
+
+    const best = results.map(r => r.alternatives[0]);
+    const transcript = best.map(a => a.transcript).join(" ");
+
+    // With alternatives, the language actually recognized
+    const languageCode = results[0].languageCode || options.languageCode;
+
+    return {
+      transcript,
+      languageCode,
+      // Lowest segment confidence: one mis-heard segment spoils the utterance
+      confidence: Math.min(...best.map(a => a.confidence || 0)) || null,
+      words: best.flatMap(toWords),
+      // Runner-up readings of a single-segment utterance
+      alternatives: results.length === 1
+        ? results[0].alternatives.slice(1).map(a => ({ transcript: a.transcript, confidence: a.confidence }))
+        : []
+    };
+  }
+
+  /**
+   * Open a streaming recognition session
+   * @param {Object} options - { languageCode, alternativeLanguageCodes, interimResults }
+   * @param {Object} handlers - { onResult({ transcript, isFinal, stability, languageCode, confidence, words }), onError, onEnd }
+   * @returns {Object} { write(pcmFrame), end() }
+   */
+  createStream(options, handlers) {
+    const stream = this.client.streamingRecognize({
+      config: {
+        encoding: "LINEAR16",
+        sampleRateHertz: 8000,
+        languageCode: options.languageCode,
+        alternativeLanguageCodes: options.alternativeLanguageCodes || [],
+        enableAutomaticPunctuation: true,
+        model: "latest_long",
+        useEnhanced: true,
+        enableWordConfidence: true
+      },
+      interimResults: options.interimResults
+    });
+
+    stream.on("data", (data) => {
+      const result = data.results?.[0];
+      const alternative = result?.alternatives?.[0];
+      if (!alternative) return;
+
+      handlers.onResult({
+        transcript: alternative.transcript,
+        isFinal: result.isFinal,
+        stability: result.stability,
+        languageCode: result.languageCode || options.languageCode,
+        // Only final results carry confidence; 0 means "not set"
+        confidence: result.isFinal ? alternative.confidence || null : null,
+        words: result.isFinal ? toWords(alternative) : []
+      });
+    });
+
+    stream.on("error", handlers.onError);
+    // All results are in once the response stream ends
+    stream.on("end", () => handlers.onEnd && handlers.onEnd());
+
+    return {
+      write: (pcmFrame) => stream.write(pcmFrame),
+      end: () => stream.end()
+    };
+  }
+}
+
+class GoogleTranslator {
+  constructor() {
+    this.client = new Translate();
+  }
+
+  /**
+   * @param {string} text
+   * @param {string} from - Base language code (e.g. "en")
+   * @param {string} to - Base language code
+   * @returns {string} Translated text
+   */
+  async translate(text, from, to) {
+    const [translation] = await this.client.translate(text, {
+      from: from,
+      to: to,
+      // Plain text back (no HTML entities); it is escaped for SSML later
+      format: "text"
+    });
+
+    return translation;
+  }
+}
+
+class GoogleSynthesizer {
+  constructor() {
+    this.client = new textToSpeech.TextToSpeechClient();
+  }
+
+  /**
+   * @param {Object} request - { text, ssml, voice, audioConfig }
+   * @returns {Buffer} mu-law audio (8000Hz)
+   */
+  async synthesize(request) {
+    const [response] = await this.client.synthesizeSpeech({
+      input: request.ssml ? { ssml: request.ssml } : { text: request.text },
+      voice: request.voice,
+      audioConfig: request.audioConfig
+    });
+
+    return response.audioContent;
+  }
+}
+
+module.exports = {
+  GoogleRecognizer,
+  GoogleTranslator,
+  GoogleSynthesizer
+};
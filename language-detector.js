@@ -0,0 +1,78 @@
+// ===========================
+// 🔎 Language Detector - Which language is this leg really speaking?
+// The recognizer gets a primary language plus alternatives and reports
+// the one it heard. A leg with no language adopts the first detection;
+// a leg with one switches only after repeated detections of another.
+// ===========================
+
+// Tried when neither the room nor the participants narrow it down
+const DEFAULT_CANDIDATES = (process.env.LANGUAGE_CANDIDATES || "en,hi,te,es,fr,de")
+  .split(",")
+  .map(language => language.trim())
+  .filter(Boolean);
+
+// Consecutive detections needed to override a language picked at join
+const SWITCH_CONFIRMATIONS = parseInt(process.env.LANGUAGE_SWITCH_CONFIRMATIONS) || 2;
+
+// Google accepts at most 3 alternative language codes
+const MAX_ALTERNATIVES = 3;
+
+function baseLanguage(language) {
+  return String(language).split("-")[0].toLowerCase();
+}
+
+class LanguageDetector {
+  /**
+   * @param {Object} [options] - { candidates, preferred, confirmations }
+   *   preferred languages (e.g. the rest of the room's) are tried first
+   */
+  constructor(options = {}) {
+    const candidates = options.candidates && options.candidates.length > 0
+      ? options.candidates
+      : DEFAULT_CANDIDATES;
+    this.candidates = [...new Set([...(options.preferred || []), ...candidates].filter(Boolean).map(baseLanguage))];
+    this.confirmations = options.confirmations || SWITCH_CONFIRMATIONS;
+    this.votes = { language: null, count: 0 };
+  }
+
+  /**
+   * Languages to hand the recognizer, current one first
+   * @param {string|null} current - Language the leg is set to
+   * @returns {Array<string>} [primary, ...alternatives] (base codes)
+   */
+  getLanguages(current) {
+    const languages = [...new Set([current, ...this.candidates].filter(Boolean).map(baseLanguage))];
+    return languages.slice(0, MAX_ALTERNATIVES + 1);
+  }
+
+  /**
+   * Record the language the recognizer reported for one final result
+   * @param {string} detected - e.g. "hi-in"
+   * @param {string|null} current
+   * @returns {string|null} Language to switch the leg to, if any
+   */
+  observe(detected, current) {
+    const language = baseLanguage(detected);
+
+    if (current && language === baseLanguage(current)) {
+      this.votes = { language: null, count: 0 };
+      return null;
+    }
+
+    if (!current) {
+      return language;
+    }
+
+    this.votes = this.votes.language === language
+      ? { language: language, count: this.votes.count + 1 }
+      : { language: language, count: 1 };
+
+    if (this.votes.count >= this.confirmations) {
+      this.votes = { language: null, count: 0 };
+      return language;
+    }
+    return null;
+  }
+}
+
+module.exports = LanguageDetector;
@@ -0,0 +1,268 @@
+// ===========================
+// 🧪 Local Providers - Deterministic offline stand-ins
+// Scripted recognizer, dictionary translator and tone/clip synthesizer.
+// No network or credentials needed, so the pipeline runs in dev and tests.
+// ===========================
+
+const fs = require("fs");
+const path = require("path");
+const { SAMPLE_RATE, decodeMulaw, encodeMulaw, rms, parseWav, wavToMulaw } = require("./audio-utils");
+
+// Small built-in phrasebook: dictionary[from][to][phrase] = translation
+const DEFAULT_DICTIONARY = {
+  en: {
+    hi: { "hello": "नमस्ते", "how are you": "आप कैसे हैं", "thank you": "धन्यवाद", "yes": "हाँ", "no": "नहीं" },
+    te: { "hello": "నమస్కారం", "how are you": "మీరు ఎలా ఉన్నారు", "thank you": "ధన్యవాదాలు", "yes": "అవును", "no": "కాదు" },
+    es: { "hello": "hola", "how are you": "cómo estás", "thank you": "gracias", "yes": "sí", "no": "no" },
+    fr: { "hello": "bonjour", "how are you": "comment allez-vous", "thank you": "merci", "yes": "oui", "no": "non" },
+    de: { "hello": "hallo", "how are you": "wie geht es dir", "thank you": "danke", "yes": "ja", "no": "nein" }
+  }
+};
+
+const DEFAULT_SCRIPT = ["hello", "how are you", "thank you"];
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Returns transcripts from a script in order, one per utterance.
+ * Script is an array, or { language: [...] } for per-language lines.
+ * A line may be { transcript, language, confidence } to simulate the
+ * speaker using another language than requested (for language
+ * detection) or a poor recognition (confidence 0..1, default 0.95).
+ * Near-silent audio is not transcribed.
+ */
+class ScriptedRecognizer {
+  constructor(options = {}) {
+    const scriptPath = options.scriptPath || process.env.LOCAL_STT_SCRIPT;
+    this.script = options.script || (scriptPath ? readJson(scriptPath) : DEFAULT_SCRIPT);
+    this.minRms = options.minRms || 200;
+    this.silenceMs = options.silenceMs || 500;
+    this.cursors = new Map();
+  }
+
+  async recognize(pcmBuffer, options) {
+    if (rms(pcmBuffer) < this.minRms) {
+      return null;
+    }
+
+    return this.nextLine(options.languageCode);
+  }
+
+  /**
+   * Streaming variant: an utterance is a run of loud frames followed by
+   * silenceMs of quiet. Half the line is sent as an interim result
+   * once speech starts, the full line as final when it ends.
+   */
+  createStream(options, handlers) {
+    const silenceMs = this.silenceMs;
+    let speechMs = 0;
+    let quietMs = 0;
+    let pending = null;
+
+    const finish = () => {
+      if (pending) {
+        handlers.onResult({ ...pending, isFinal: true, stability: 1 });
+      }
+      pending = null;
+      speechMs = 0;
+      quietMs = 0;
+    };
+
+    return {
+      write: (pcmFrame) => {
+        const frameMs = pcmFrame.length / 2 / 8;
+
+        if (rms(pcmFrame) >= this.minRms) {
+          speechMs += frameMs;
+          quietMs = 0;
+
+          if (!pending && speechMs >= 200) {
+            pending = this.nextLine(options.languageCode);
+            if (pending && options.interimResults) {
+              const words = pending.transcript.split(" ");
+              const partial = words.slice(0, Math.ceil(words.length / 2)).join(" ");
+              handlers.onResult({ ...pending, transcript: partial, isFinal: false, stability: 0.5 });
+            }
+          }
+        } else if (speechMs > 0) {
+          quietMs += frameMs;
+          if (quietMs >= silenceMs) finish();
+        }
+      },
+      end: () => setImmediate(() => {
+        finish();
+        if (handlers.onEnd) handlers.onEnd();
+      })
+    };
+  }
+
+  /**
+   * @returns {Object|null} { transcript, languageCode, confidence, words }
+   */
+  nextLine(languageCode) {
+    const baseLang = languageCode.split("-")[0];
+    const lines = Array.isArray(this.script)
+      ? this.script
+      : this.script[languageCode] || this.script[baseLang] || [];
+
+    if (lines.length === 0) {
+      return null;
+    }
+
+    const key = Array.isArray(this.script) ? "*" : baseLang;
+    const cursor = this.cursors.get(key) || 0;
+    this.cursors.set(key, cursor + 1);
+
+    const entry = lines[cursor % lines.length];
+    const line = typeof entry === "string" ? { transcript: entry } : entry;
+    const confidence = line.confidence ?? 0.95;
+
+    return {
+      transcript: line.transcript,
+      languageCode: line.language || languageCode,
+      confidence: confidence,
+      words: line.transcript.split(/\s+/).filter(Boolean).map(word => ({ word, confidence }))
+    };
+  }
+}
+
+/**
+ * Phrase-then-word dictionary translation. Unknown words pass through
+ * unchanged, so output is always deterministic.
+ */
+class DictionaryTranslator {
+  constructor(options = {}) {
+    const dictionaryPath = options.dictionaryPath || process.env.LOCAL_DICTIONARY_PATH;
+    this.dictionary = options.dictionary || (dictionaryPath ? readJson(dictionaryPath) : DEFAULT_DICTIONARY);
+  }
+
+  async translate(text, from, to) {
+    const table = this.getTable(from, to);
+    const normalized = text.trim().toLowerCase().replace(/[.?!,]+$/, "");
+
+    if (table[normalized]) {
+      return table[normalized];
+    }
+
+    return text
+      .split(/(\s+)/)
+      .map(token => {
+        const match = token.match(/^(\W*)(.*?)(\W*)$/u);
+        const word = match[2].toLowerCase();
+        return table[word] ? match[1] + table[word] + match[3] : token;
+      })
+      .join("");
+  }
+
+  /**
+   * Direct table, or the reverse of the opposite direction
+   */
+  getTable(from, to) {
+    const direct = this.dictionary[from]?.[to];
+    if (direct) return direct;
+
+    const reverse = this.dictionary[to]?.[from] || {};
+    const table = {};
+    for (const [source, target] of Object.entries(reverse)) {
+      table[target.toLowerCase()] = source;
+    }
+    return table;
+  }
+}
+
+// SSML input arrives escaped; the tone/clip lookup wants the plain text
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+
+function unescapeXml(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos);/g, (match, name) => XML_ENTITIES[name]);
+}
+
+/**
+ * Synthesizes a pre-recorded clip when one exists, otherwise a tone
+ * whose length follows the word count. Clips are looked up as
+ * <clipDir>/<language>/<text-slug>.wav
+ */
+class ToneSynthesizer {
+  constructor(options = {}) {
+    this.clipDir = options.clipDir || process.env.LOCAL_TTS_CLIP_DIR || null;
+    this.msPerWord = options.msPerWord || 250;
+    this.amplitude = options.amplitude || 6000;
+  }
+
+  async synthesize(request) {
+    const text = request.text || unescapeXml((request.ssml || "").replace(/<[^>]+>/g, ""));
+    const language = request.voice?.languageCode || "en-US";
+
+    const clip = this.loadClip(text, language);
+    if (clip) {
+      return this.applyGain(clip, request.audioConfig?.volumeGainDb || 0);
+    }
+
+    return this.tone(text, language);
+  }
+
+  loadClip(text, language) {
+    if (!this.clipDir) return null;
+
+    const slug = text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "-").replace(/^-|-$/g, "");
+    const candidates = [
+      path.join(this.clipDir, language, `${slug}.wav`),
+      path.join(this.clipDir, language.split("-")[0], `${slug}.wav`)
+    ];
+
+    for (const file of candidates) {
+      if (fs.existsSync(file)) {
+        return wavToMulaw(parseWav(fs.readFileSync(file)));
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Sine tone, pitched per language so listeners can tell legs apart
+   */
+  tone(text, language) {
+    const words = text.trim().split(/\s+/).filter(Boolean).length || 1;
+    const durationMs = Math.min(6000, 200 + words * this.msPerWord);
+    const sampleCount = Math.floor(SAMPLE_RATE * durationMs / 1000);
+
+    let hash = 0;
+    for (const ch of language) hash = (hash * 31 + ch.charCodeAt(0)) % 997;
+    const frequency = 330 + (hash % 8) * 55;
+
+    // 10ms fade in/out to avoid clicks
+    const fade = SAMPLE_RATE / 100;
+    const pcm = Buffer.alloc(sampleCount * 2);
+
+    for (let i = 0; i < sampleCount; i++) {
+      const envelope = Math.min(1, i / fade, (sampleCount - i) / fade);
+      const value = Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) * this.amplitude * envelope;
+      pcm.writeInt16LE(Math.round(value), i * 2);
+    }
+
+    return encodeMulaw(pcm);
+  }
+
+  applyGain(mulawBuffer, gainDb) {
+    if (!gainDb) return mulawBuffer;
+
+    const factor = Math.pow(10, gainDb / 20);
+    const pcm = decodeMulaw(mulawBuffer);
+
+    for (let i = 0; i < pcm.length; i += 2) {
+      const value = Math.round(pcm.readInt16LE(i) * factor);
+      pcm.writeInt16LE(Math.max(-32768, Math.min(32767, value)), i);
+    }
+
+    return encodeMulaw(pcm);
+  }
+}
+
+module.exports = {
+  ScriptedRecognizer,
+  DictionaryTranslator,
+  ToneSynthesizer
+};
@@ -0,0 +1,125 @@
+// ===========================
+// 🪵 Logger - Structured JSON-lines logging
+// Every line carries time, level, subsystem and message, plus the
+// connection's roomId/callSid/streamSid/userType when logged through a
+// connection's logger. Transcript text is redacted unless
+// LOG_TRANSCRIPTS=true.
+//
+// LOG_LEVEL=info                    default level
+// LOG_LEVELS=media=debug,stt=warn   per-subsystem levels
+// LOG_FORMAT=pretty                 human-readable lines for development
+// ===========================
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const DEFAULT_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : "info";
+const SUBSYSTEM_LEVELS = parseLevels(process.env.LOG_LEVELS);
+const PRETTY = process.env.LOG_FORMAT === "pretty";
+const LOG_TRANSCRIPTS = process.env.LOG_TRANSCRIPTS === "true";
+
+// Fields holding what people said; never logged verbatim by default
+const TRANSCRIPT_FIELDS = new Set([
+  "transcript", "text", "originalText", "translatedText", "partial"
+]);
+
+// Connection fields promoted to the top of every line
+const CONTEXT_FIELDS = ["roomId", "callSid", "streamSid", "userType"];
+
+function parseLevels(spec) {
+  const levels = {};
+  for (const entry of (spec || "").split(",")) {
+    const [subsystem, level] = entry.split("=").map(part => part && part.trim());
+    if (subsystem && LEVELS[level]) {
+      levels[subsystem] = level;
+    }
+  }
+  return levels;
+}
+
+function redact(fields) {
+  if (LOG_TRANSCRIPTS) return fields;
+
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    result[key] = TRANSCRIPT_FIELDS.has(key) && typeof value === "string"
+      ? `[redacted ${value.length} chars]`
+      : value;
+  }
+  return result;
+}
+
+function serializeError(error) {
+  return { message: error.message, name: error.name, code: error.code, stack: error.stack };
+}
+
+class Logger {
+  /**
+   * @param {string} subsystem - routes, media, stt, translation, tts, ...
+   * @param {Object|Function} [context] - Fields for every line, or a
+   *   function returning them (read at log time, so it can change)
+   */
+  constructor(subsystem, context = {}) {
+    this.subsystem = subsystem;
+    this.context = context;
+    this.level = LEVELS[SUBSYSTEM_LEVELS[subsystem] || DEFAULT_LEVEL];
+  }
+
+  /**
+   * Same context, another subsystem (e.g. a connection's STT lines)
+   */
+  forSubsystem(subsystem) {
+    return new Logger(subsystem, this.context);
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= this.level;
+  }
+
+  debug(message, fields) { this.write("debug", message, fields); }
+  info(message, fields) { this.write("info", message, fields); }
+  warn(message, fields) { this.write("warn", message, fields); }
+  error(message, fields) { this.write("error", message, fields); }
+
+  write(level, message, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const context = typeof this.context === "function" ? this.context() : this.context;
+    const entry = {
+      time: new Date().toISOString(),
+      level: level,
+      subsystem: this.subsystem,
+      msg: message
+    };
+
+    for (const field of CONTEXT_FIELDS) {
+      if (context[field]) entry[field] = context[field];
+    }
+
+    for (const [key, value] of Object.entries(redact(fields))) {
+      if (value === undefined) continue;
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write((PRETTY ? formatPretty(entry) : JSON.stringify(entry)) + "\n");
+  }
+}
+
+function formatPretty(entry) {
+  const { time, level, subsystem, msg, ...rest } = entry;
+  const extra = Object.keys(rest).length > 0 ? " " + JSON.stringify(rest) : "";
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} [${subsystem}] ${msg}${extra}`;
+}
+
+/**
+ * @param {string} subsystem
+ * @param {Object|Function} [context]
+ * @returns {Logger}
+ */
+function createLogger(subsystem, context) {
+  return new Logger(subsystem, context);
+}
+
+module.exports = {
+  createLogger
+};
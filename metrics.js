@@ -0,0 +1,169 @@
+// ===========================
+// 📈 Metrics - Prometheus counters, gauges and histograms
+// Rendered in the Prometheus text format at /metrics. Gauges are read
+// at scrape time from a collect() callback.
+// ===========================
+
+// Latency buckets (seconds): telephony pipeline stages are 50ms..10s
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10];
+
+const registry = [];
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? "")));
+}
+
+function formatLabels(labelNames, values, extra = "") {
+  const parts = labelNames.map((name, i) =>
+    `${name}="${String(values[i]).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`
+  );
+  if (extra) parts.push(extra);
+  return parts.length > 0 ? `{${parts.join(",")}}` : "";
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();  // label key -> value
+  }
+
+  inc(labels, amount = 1) {
+    const key = labelKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const [key, value] of this.values.entries()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${value}`);
+    }
+    return lines;
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.series = new Map();  // label key -> { counts, sum, count }
+  }
+
+  observe(labels, value) {
+    const key = labelKey(this.labelNames, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Observe the seconds elapsed since startedAt (ms timestamp)
+   */
+  observeSince(labels, startedAt) {
+    this.observe(labels, (Date.now() - startedAt) / 1000);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const [key, series] of this.series.entries()) {
+      const values = JSON.parse(key);
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, `le="${bound}"`)} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${Math.round(series.sum * 1e6) / 1e6}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class Gauge {
+  /**
+   * @param {Function} collect - Returns a number, or [{ labels, value }]
+   */
+  constructor(name, help, labelNames, collect) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`];
+    const result = this.collect();
+    const samples = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+
+    for (const sample of samples) {
+      const values = this.labelNames.map(name => sample.labels[name] ?? "");
+      lines.push(`${this.name}${formatLabels(this.labelNames, values)} ${sample.value}`);
+    }
+    return lines;
+  }
+}
+
+function register(metric) {
+  registry.push(metric);
+  return metric;
+}
+
+function counter(name, help, labelNames) {
+  return register(new Counter(name, help, labelNames));
+}
+
+function histogram(name, help, labelNames, buckets) {
+  return register(new Histogram(name, help, labelNames, buckets));
+}
+
+function gauge(name, help, labelNames, collect) {
+  return register(new Gauge(name, help, labelNames, collect));
+}
+
+/**
+ * @returns {string} Every registered metric in Prometheus text format
+ */
+function renderMetrics() {
+  return registry.flatMap(metric => metric.render()).join("\n") + "\n";
+}
+
+// ----- Pipeline metrics -----
+
+const packetsReceived = counter("translator_media_packets_received_total", "Media packets received from Twilio");
+const utterances = counter("translator_utterances_total", "Utterances detected by the VAD", ["language"]);
+const errors = counter("translator_errors_total", "Pipeline errors", ["stage"]);
+const droppedBuffers = counter("translator_dropped_buffers_total", "Audio buffers discarded before use", ["reason"]);
+const lowConfidenceUtterances = counter("translator_low_confidence_utterances_total", "Utterances not translated because recognition confidence was too low", ["language"]);
+const moderationEvents = counter("translator_moderation_events_total", "Transcripts or translations flagged by moderation", ["stage", "mode"]);
+
+const sttLatency = histogram("translator_stt_latency_seconds", "Speech end to final transcript", ["source_language", "target_language"]);
+const translationLatency = histogram("translator_translation_latency_seconds", "Translation call duration", ["pair"]);
+const ttsLatency = histogram("translator_tts_latency_seconds", "Speech synthesis call duration", ["pair"]);
+const endToEndLatency = histogram("translator_end_to_end_latency_seconds", "Speaker's speech end to translated playback start", ["pair"]);
+
+module.exports = {
+  counter,
+  histogram,
+  gauge,
+  renderMetrics,
+  packetsReceived,
+  utterances,
+  errors,
+  droppedBuffers,
+  moderationEvents,
+  lowConfidenceUtterances,
+  sttLatency,
+  translationLatency,
+  ttsLatency,
+  endToEndLatency
+};
@@ -0,0 +1,293 @@
+// ===========================
+// 🚫 Moderation - Word lists and patterns applied to what gets spoken
+// Transcripts are checked against the speaker's language, translations
+// against the listener's. Flagged source words are swapped for a marker
+// before translation, so they stay flagged whatever the translator does.
+//
+// Lists: { <language>|"*": { words: [<word>], patterns: [<regex>] } }
+// Server-wide lists come from MODERATION_LISTS (JSON) or
+// MODERATION_LISTS_PATH (JSON file); rooms may add their own words.
+// Patterns are regexes run on every utterance, so only the server's
+// trusted lists may have them.
+// Modes: "mask" (asterisks in text, words left out of speech),
+// "bleep" (tone in the audio) or "drop" (the utterance is discarded).
+// ===========================
+
+const fs = require("fs");
+const { linearToMulaw, SAMPLE_RATE } = require("./audio-utils");
+const { createLogger } = require("./logger");
+
+const log = createLogger("moderation");
+
+const MODES = ["mask", "bleep", "drop"];
+
+// Mode for rooms that don't choose one; unset means moderation is off
+const DEFAULT_MODE = MODES.includes(process.env.MODERATION_MODE) ? process.env.MODERATION_MODE : null;
+
+// Stands in for a flagged source word while the text is translated
+const MARKER = "⟦*⟧";
+
+const MAX_ENTRIES = 1000;
+const MAX_WORD_LENGTH = 100;
+
+const BLEEP_HZ = 1000;
+const BLEEP_MS_PER_CHAR = 70;
+const BLEEP_MIN_MS = 250;
+const BLEEP_MAX_MS = 800;
+
+const SERVER_LISTS = loadServerLists();
+
+function loadServerLists() {
+  try {
+    if (process.env.MODERATION_LISTS_PATH) {
+      return checkedLists(JSON.parse(fs.readFileSync(process.env.MODERATION_LISTS_PATH, "utf8")));
+    }
+    if (process.env.MODERATION_LISTS) {
+      return checkedLists(JSON.parse(process.env.MODERATION_LISTS));
+    }
+  } catch (error) {
+    log.error("Invalid moderation lists, moderation has no server lists", { error: error });
+  }
+  return {};
+}
+
+function checkedLists(input) {
+  const { lists, error } = normalizeLists(input, { allowPatterns: true });
+  if (error) throw new Error(error);
+  return lists;
+}
+
+function baseLanguage(language) {
+  return String(language).split("-")[0].toLowerCase();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Validate lists from config or a request body
+ * @param {Object} input
+ * @param {Object} [options] - { allowPatterns }: server config only
+ * @returns {Object} { lists } or { error }
+ */
+function normalizeLists(input, options = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "moderation lists must map languages to { words, patterns }" };
+  }
+
+  const lists = {};
+  let count = 0;
+
+  for (const [language, entry] of Object.entries(input)) {
+    if (!entry || typeof entry !== "object" ||
+        (entry.words && !Array.isArray(entry.words)) ||
+        (entry.patterns && !Array.isArray(entry.patterns))) {
+      return { error: `moderation lists for ${language} must be { words, patterns }` };
+    }
+
+    const words = (entry.words || []).filter(word => typeof word === "string" && word.trim());
+    const patterns = entry.patterns || [];
+
+    if (patterns.length > 0 && !options.allowPatterns) {
+      return { error: "moderation patterns can only be set in the server's lists; use words" };
+    }
+    if (words.some(word => word.length > MAX_WORD_LENGTH)) {
+      return { error: `moderation words are limited to ${MAX_WORD_LENGTH} characters` };
+    }
+
+    for (const pattern of patterns) {
+      try {
+        new RegExp(pattern, "giu");
+      } catch (error) {
+        return { error: `Invalid moderation pattern for ${language}: ${pattern}` };
+      }
+    }
+
+    count += words.length + patterns.length;
+    const key = language === "*" ? "*" : baseLanguage(language);
+    lists[key] = { words: words.map(word => word.trim()), patterns: patterns };
+  }
+
+  if (count > MAX_ENTRIES) {
+    return { error: `moderation lists are limited to ${MAX_ENTRIES} entries` };
+  }
+
+  return { lists };
+}
+
+/**
+ * Validate a room's moderation settings from a request body (word
+ * lists only)
+ * @param {Object} input - { mode, lists }
+ * @returns {Object} { moderation } or { error }
+ */
+function normalizeModeration(input) {
+  if (!input || typeof input !== "object" || !MODES.includes(input.mode)) {
+    return { error: `moderation.mode must be one of ${MODES.join(", ")}` };
+  }
+
+  if (!input.lists) {
+    return { moderation: { mode: input.mode, lists: null } };
+  }
+
+  const { lists, error } = normalizeLists(input.lists);
+  if (error) return { error };
+
+  return { moderation: { mode: input.mode, lists: lists } };
+}
+
+/**
+ * Moderation in effect for a room: its own mode and lists on top of the
+ * server's, or null when off
+ * @param {Object} session
+ * @returns {Object|null} { mode, lists }
+ */
+function getRoomModeration(session) {
+  const mode = session?.moderation?.mode || DEFAULT_MODE;
+  if (!mode) return null;
+
+  const lists = { ...SERVER_LISTS };
+  for (const [language, entry] of Object.entries(session?.moderation?.lists || {})) {
+    const server = lists[language] || { words: [], patterns: [] };
+    lists[language] = {
+      words: [...server.words, ...entry.words],
+      patterns: [...server.patterns, ...entry.patterns]
+    };
+  }
+
+  return { mode: mode, lists: lists };
+}
+
+/**
+ * Flagged spans in a text, in order and without overlaps
+ * @param {string} text
+ * @param {string} language
+ * @param {Object} lists
+ * @returns {Array<Object>} [{ index, length, marker }] - marker: a word
+ *   already flagged in the source text
+ */
+function findMatches(text, language, lists) {
+  const entries = [lists["*"], lists[baseLanguage(language)]].filter(Boolean);
+  const regexes = [new RegExp(escapeRegExp(MARKER), "g")];
+
+  const words = entries.flatMap(entry => entry.words);
+  if (words.length > 0) {
+    // Longest first, so a phrase wins over a word inside it
+    words.sort((a, b) => b.length - a.length);
+    regexes.push(new RegExp(
+      `(?<![\\p{L}\\p{N}])(${words.map(escapeRegExp).join("|")})(?![\\p{L}\\p{N}])`,
+      "giu"
+    ));
+  }
+  for (const pattern of entries.flatMap(entry => entry.patterns)) {
+    regexes.push(new RegExp(pattern, "giu"));
+  }
+
+  const spans = [];
+  for (const regex of regexes) {
+    for (const match of text.matchAll(regex)) {
+      if (match[0].length > 0) {
+        spans.push({ index: match.index, length: match[0].length, marker: match[0] === MARKER });
+      }
+    }
+  }
+
+  spans.sort((a, b) => a.index - b.index || b.length - a.length);
+
+  const matches = [];
+  for (const span of spans) {
+    const last = matches[matches.length - 1];
+    if (!last || span.index >= last.index + last.length) {
+      matches.push(span);
+    }
+  }
+  return matches;
+}
+
+/**
+ * Replace each match
+ * @param {string} text
+ * @param {Array<Object>} matches - From findMatches
+ * @param {Function} replace - (matchedText) => replacement
+ */
+function replaceMatches(text, matches, replace) {
+  let result = "";
+  let position = 0;
+
+  for (const match of matches) {
+    result += text.slice(position, match.index) + replace(text.substr(match.index, match.length));
+    position = match.index + match.length;
+  }
+
+  return result + text.slice(position);
+}
+
+/**
+ * Text for captions and transcripts: flagged words become asterisks
+ */
+function maskText(text, matches) {
+  return replaceMatches(text, matches, matched => "*".repeat(matched === MARKER ? 3 : matched.length));
+}
+
+/**
+ * Text for the translator: flagged words become the marker
+ */
+function markText(text, matches) {
+  return replaceMatches(text, matches, () => MARKER);
+}
+
+/**
+ * Text for speech in "mask" mode: flagged words are left out
+ */
+function omitMatches(text, matches) {
+  return replaceMatches(text, matches, () => " ").replace(/\s{2,}/g, " ").trim();
+}
+
+/**
+ * Split a text at its matches for "bleep" mode
+ * @returns {Array<Object>} [{ text }] and [{ bleepMs }] in order
+ */
+function splitForBleeps(text, matches) {
+  const parts = [];
+  let position = 0;
+
+  for (const match of matches) {
+    const before = text.slice(position, match.index).trim();
+    if (before) parts.push({ text: before });
+
+    const chars = match.marker ? 5 : match.length;
+    parts.push({ bleepMs: Math.min(BLEEP_MAX_MS, Math.max(BLEEP_MIN_MS, chars * BLEEP_MS_PER_CHAR)) });
+    position = match.index + match.length;
+  }
+
+  const rest = text.slice(position).trim();
+  if (rest) parts.push({ text: rest });
+  return parts;
+}
+
+/**
+ * @param {number} durationMs
+ * @returns {Buffer} 8kHz mu-law tone
+ */
+function bleepTone(durationMs) {
+  const samples = Math.round(durationMs * SAMPLE_RATE / 1000);
+  const tone = Buffer.alloc(samples);
+
+  for (let i = 0; i < samples; i++) {
+    tone[i] = linearToMulaw(Math.round(8000 * Math.sin(2 * Math.PI * BLEEP_HZ * i / SAMPLE_RATE)));
+  }
+  return tone;
+}
+
+module.exports = {
+  MODES,
+  normalizeModeration,
+  getRoomModeration,
+  findMatches,
+  maskText,
+  markText,
+  omitMatches,
+  splitForBleeps,
+  bleepTone
+};
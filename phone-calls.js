@@ -0,0 +1,111 @@
+// ===========================
+// 📱 Phone Calls - Outbound PSTN legs through the Twilio REST client
+// A dialed number joins a room like any other participant: the answered
+// call fetches TwiML that opens the same /media-stream. Twilio's
+// call-progress callbacks are mapped onto the participant's callStatus.
+// ===========================
+
+const twilio = require("twilio");
+const { createLogger } = require("./logger");
+
+const log = createLogger("calls");
+
+// Twilio CallStatus -> callStatus kept on the participant
+const CALL_STATUSES = {
+  "queued": "dialing",
+  "initiated": "dialing",
+  "ringing": "ringing",
+  "in-progress": "answered",
+  "completed": "completed",
+  "busy": "busy",
+  "failed": "failed",
+  "no-answer": "no-answer",
+  "canceled": "canceled"
+};
+
+// The call is over once it reaches one of these
+const FINAL_CALL_STATUSES = new Set(["completed", "busy", "failed", "no-answer", "canceled"]);
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  }
+  return client;
+}
+
+/**
+ * Dial-out needs a Twilio number to call from (TWILIO_PHONE_NUMBER)
+ */
+function isDialOutEnabled() {
+  return !!process.env.TWILIO_PHONE_NUMBER;
+}
+
+/**
+ * "+1 (415) 555-0100" -> "+14155550100"
+ * @param {string} number
+ * @returns {string|null} E.164 number, or null if it isn't one
+ */
+function normalizePhoneNumber(number) {
+  if (typeof number !== "string") return null;
+
+  const compact = number.replace(/[\s().-]/g, "");
+  return /^\+[1-9]\d{6,14}$/.test(compact) ? compact : null;
+}
+
+/**
+ * @param {string} twilioStatus - CallStatus from a Twilio callback
+ * @returns {string|null}
+ */
+function toCallStatus(twilioStatus) {
+  return CALL_STATUSES[twilioStatus] || null;
+}
+
+function isFinalCallStatus(callStatus) {
+  return FINAL_CALL_STATUSES.has(callStatus);
+}
+
+/**
+ * Place an outbound call
+ * @param {Object} options - { to, answerUrl, statusCallbackUrl }
+ * @returns {Promise<string>} Call SID
+ */
+async function placeCall(options) {
+  const call = await getClient().calls.create({
+    to: options.to,
+    from: process.env.TWILIO_PHONE_NUMBER,
+    url: options.answerUrl,
+    method: "POST",
+    statusCallback: options.statusCallbackUrl,
+    statusCallbackMethod: "POST",
+    statusCallbackEvent: ["initiated", "ringing", "answered", "completed"]
+  });
+
+  log.info("Outbound call placed", { callSid: call.sid });
+  return call.sid;
+}
+
+/**
+ * End an outbound call, whether it is still ringing or answered
+ * @param {string} callSid
+ * @param {string} callStatus - The participant's current callStatus
+ */
+async function hangUpCall(callSid, callStatus) {
+  try {
+    await getClient().calls(callSid).update({
+      status: callStatus === "answered" ? "completed" : "canceled"
+    });
+  } catch (error) {
+    log.warn("Could not hang up call", { callSid: callSid, error: error });
+  }
+}
+
+module.exports = {
+  isDialOutEnabled,
+  normalizePhoneNumber,
+  toCallStatus,
+  isFinalCallStatus,
+  placeCall,
+  hangUpCall
+};
@@ -0,0 +1,221 @@
+// ===========================
+// ☎️ Phone IVR - Join a room from a plain phone
+// An inbound call picks its language from a keypad menu (each option
+// spoken in its own language), then enters the room's numeric PIN.
+// Prompts after the menu are spoken in the chosen language.
+//
+// IVR_LANGUAGES=en,hi,es   menu options, in keypad order
+// ===========================
+
+const crypto = require("crypto");
+const twilio = require("twilio");
+
+const PIN_DIGITS = 6;
+const MAX_ATTEMPTS = 3;
+const GATHER_TIMEOUT_SECONDS = 8;
+
+// Spoken prompts per language; voice is the <Say> language
+const PROMPTS = {
+  en: {
+    voice: "en-US",
+    option: "For English, press {digit}.",
+    enterPin: "Please enter your room PIN.",
+    invalidPin: "That PIN did not match a room.",
+    roomFull: "Sorry, that room is full.",
+    roomClosed: "Sorry, that room is no longer taking calls.",
+    tooManyPins: "Too many wrong PINs. Please try again later.",
+    connecting: "Connecting you now.",
+    goodbye: "Goodbye."
+  },
+  hi: {
+    voice: "hi-IN",
+    option: "हिंदी के लिए {digit} दबाएँ।",
+    enterPin: "कृपया अपना रूम पिन दर्ज करें।",
+    invalidPin: "यह पिन किसी रूम से मेल नहीं खाता।",
+    roomFull: "क्षमा करें, यह रूम भरा हुआ है।",
+    roomClosed: "क्षमा करें, यह रूम अब कॉल नहीं ले रहा है।",
+    tooManyPins: "बहुत अधिक गलत पिन। कृपया बाद में पुनः प्रयास करें।",
+    connecting: "आपको अभी जोड़ा जा रहा है।",
+    goodbye: "नमस्ते।"
+  },
+  te: {
+    voice: "te-IN",
+    option: "తెలుగు కోసం {digit} నొక్కండి.",
+    enterPin: "దయచేసి మీ రూమ్ పిన్ నమోదు చేయండి.",
+    invalidPin: "ఆ పిన్ ఏ రూమ్‌తోనూ సరిపోలలేదు.",
+    roomFull: "క్షమించండి, ఆ రూమ్ నిండిపోయింది.",
+    roomClosed: "క్షమించండి, ఆ రూమ్ ఇప్పుడు కాల్‌లను స్వీకరించడం లేదు.",
+    tooManyPins: "చాలా తప్పు పిన్‌లు. దయచేసి తర్వాత మళ్లీ ప్రయత్నించండి.",
+    connecting: "మిమ్మల్ని ఇప్పుడు కలుపుతున్నాము.",
+    goodbye: "వీడ్కోలు."
+  },
+  es: {
+    voice: "es-ES",
+    option: "Para español, marque {digit}.",
+    enterPin: "Por favor, introduzca el PIN de la sala.",
+    invalidPin: "Ese PIN no corresponde a ninguna sala.",
+    roomFull: "Lo sentimos, la sala está llena.",
+    roomClosed: "Lo sentimos, la sala ya no acepta llamadas.",
+    tooManyPins: "Demasiados PIN incorrectos. Inténtelo de nuevo más tarde.",
+    connecting: "Le estamos conectando.",
+    goodbye: "Adiós."
+  },
+  fr: {
+    voice: "fr-FR",
+    option: "Pour le français, tapez {digit}.",
+    enterPin: "Veuillez saisir le code PIN de la salle.",
+    invalidPin: "Ce code PIN ne correspond à aucune salle.",
+    roomFull: "Désolé, cette salle est complète.",
+    roomClosed: "Désolé, cette salle n'accepte plus d'appels.",
+    tooManyPins: "Trop de codes PIN erronés. Veuillez réessayer plus tard.",
+    connecting: "Nous vous connectons.",
+    goodbye: "Au revoir."
+  },
+  de: {
+    voice: "de-DE",
+    option: "Für Deutsch drücken Sie die {digit}.",
+    enterPin: "Bitte geben Sie die PIN des Raums ein.",
+    invalidPin: "Diese PIN passt zu keinem Raum.",
+    roomFull: "Leider ist dieser Raum voll.",
+    roomClosed: "Leider nimmt dieser Raum keine Anrufe mehr an.",
+    tooManyPins: "Zu viele falsche PINs. Bitte versuchen Sie es später erneut.",
+    connecting: "Sie werden jetzt verbunden.",
+    goodbye: "Auf Wiedersehen."
+  }
+};
+
+// Menu order; digit n selects MENU_LANGUAGES[n - 1]
+const MENU_LANGUAGES = (process.env.IVR_LANGUAGES || "en,hi,te,es,fr,de")
+  .split(",")
+  .map(language => language.trim())
+  .filter(language => PROMPTS[language])
+  .slice(0, 9);
+
+/**
+ * A PIN no live room is using
+ * @param {Map} sessions - activeSessions
+ * @returns {string}
+ */
+function generateRoomPin(sessions) {
+  let pin;
+  do {
+    pin = String(crypto.randomInt(0, 10 ** PIN_DIGITS)).padStart(PIN_DIGITS, "0");
+  } while (findRoomByPin(sessions, pin));
+  return pin;
+}
+
+/**
+ * @param {Map} sessions - activeSessions
+ * @param {string} pin
+ * @returns {Object|null} Session
+ */
+function findRoomByPin(sessions, pin) {
+  if (!pin) return null;
+
+  for (const session of sessions.values()) {
+    if (session.pin === pin) return session;
+  }
+  return null;
+}
+
+/**
+ * @param {string} digit - Keypad digit pressed at the menu
+ * @returns {string|null} Language code
+ */
+function languageForDigit(digit) {
+  const index = parseInt(digit) - 1;
+  return MENU_LANGUAGES[index] || null;
+}
+
+function say(node, language, key, digit) {
+  const prompts = PROMPTS[language] || PROMPTS.en;
+  node.say({ language: prompts.voice }, prompts[key].replace("{digit}", digit));
+}
+
+/**
+ * Language menu, each option spoken in its own language
+ * @param {string} actionUrl - Receives the pressed digit
+ * @returns {string} TwiML
+ */
+function languageMenuTwiml(actionUrl) {
+  const response = new twilio.twiml.VoiceResponse();
+  const gather = response.gather({
+    input: "dtmf",
+    numDigits: 1,
+    timeout: GATHER_TIMEOUT_SECONDS,
+    action: actionUrl,
+    method: "POST"
+  });
+
+  MENU_LANGUAGES.forEach((language, i) => say(gather, language, "option", i + 1));
+
+  // No key pressed: the menu is repeated by the action's retry handling
+  response.redirect({ method: "POST" }, actionUrl);
+  return response.toString();
+}
+
+/**
+ * Ask for the room PIN (optionally after saying why the last one failed)
+ * @param {string} language
+ * @param {string} actionUrl - Receives the digits
+ * @param {string} [notice] - Prompt key to say first, e.g. "invalidPin"
+ * @returns {string} TwiML
+ */
+function pinPromptTwiml(language, actionUrl, notice) {
+  const response = new twilio.twiml.VoiceResponse();
+  if (notice) {
+    say(response, language, notice);
+  }
+
+  const gather = response.gather({
+    input: "dtmf",
+    numDigits: PIN_DIGITS,
+    finishOnKey: "#",
+    timeout: GATHER_TIMEOUT_SECONDS,
+    action: actionUrl,
+    method: "POST"
+  });
+  say(gather, language, "enterPin");
+
+  response.redirect({ method: "POST" }, actionUrl);
+  return response.toString();
+}
+
+/**
+ * Say something, then hang up
+ * @param {string} language
+ * @param {string} [key] - Prompt key to say before "goodbye"
+ * @returns {string} TwiML
+ */
+function hangUpTwiml(language, key) {
+  const response = new twilio.twiml.VoiceResponse();
+  if (key) {
+    say(response, language, key);
+  }
+  say(response, language, "goodbye");
+  response.hangup();
+  return response.toString();
+}
+
+/**
+ * Response that starts with "connecting", for the media stream to be added to
+ * @param {string} language
+ * @returns {Object} VoiceResponse
+ */
+function connectingResponse(language) {
+  const response = new twilio.twiml.VoiceResponse();
+  say(response, language, "connecting");
+  return response;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  MENU_LANGUAGES,
+  generateRoomPin,
+  findRoomByPin,
+  languageForDigit,
+  languageMenuTwiml,
+  pinPromptTwiml,
+  hangUpTwiml,
+  connectingResponse
+};
@@ -0,0 +1,177 @@
+// ===========================
+// 🔈 Playback Queue - Real-time paced outbound audio for one leg
+// Clips play in order as 20ms mu-law frames, sent at playout speed with
+// a small lead so Twilio never holds more than a few frames. Each clip
+// ends with a mark; Twilio echoes it once the clip has actually played.
+// ===========================
+
+const FRAME_MS = 20;
+const FRAME_BYTES = 160;  // 20ms of 8kHz mu-law
+const MULAW_SILENCE = 0xFF;
+
+// How far ahead of the playout clock frames are sent (absorbs timer jitter)
+const PLAYBACK_LEAD_MS = parseInt(process.env.PLAYBACK_LEAD_MS) || 60;
+
+let clipCounter = 0;
+
+class PlaybackQueue {
+  /**
+   * @param {Function} send - Sends one Twilio message object (streamSid added by the caller)
+   * @param {Object} [options] - { onFrame(frame), leadMs }
+   */
+  constructor(send, options = {}) {
+    this.send = send;
+    this.onFrame = options.onFrame || null;
+    this.leadMs = options.leadMs || PLAYBACK_LEAD_MS;
+
+    this.clips = [];                 // queued clips, head is playing
+    this.awaitingMarks = new Map();  // mark name -> clip sent, not yet played
+    this.playoutEnd = 0;             // when the audio sent so far finishes playing
+    this.timer = null;
+  }
+
+  /**
+   * Queue a clip behind whatever is already playing
+   * @param {Buffer} mulawAudio - 8kHz mu-law
+   * @param {Object} [options] - { onStart }: called when its first frame is sent
+   * @returns {Promise<string>} "played" | "cleared" | "closed"
+   */
+  enqueue(mulawAudio, options = {}) {
+    return new Promise(resolve => {
+      const id = ++clipCounter;
+      this.clips.push({
+        id: id,
+        markName: `audio_complete_${id}`,
+        frames: Math.ceil(mulawAudio.length / FRAME_BYTES),
+        audio: mulawAudio,
+        offset: 0,
+        onStart: options.onStart || null,
+        resolve: resolve
+      });
+      this.schedule(0);
+    });
+  }
+
+  /**
+   * Twilio echoed a mark: that clip has finished playing
+   * @returns {boolean} Whether the mark belonged to this queue
+   */
+  handleMark(name) {
+    const clip = this.awaitingMarks.get(name);
+    if (!clip) return false;
+
+    this.awaitingMarks.delete(name);
+    clip.resolve("played");
+    return true;
+  }
+
+  /**
+   * Audio queued or still playing on the phone
+   */
+  isPending() {
+    return this.clips.length > 0 || this.awaitingMarks.size > 0;
+  }
+
+  /**
+   * @returns {Object} { depth, remainingMs } - clips not yet played, and
+   * how long until everything queued has played out
+   */
+  getStatus() {
+    const unsentBytes = this.clips.reduce((sum, clip) => sum + clip.audio.length - clip.offset, 0);
+    const bufferedMs = Math.max(0, this.playoutEnd - Date.now());
+
+    return {
+      depth: this.clips.length + this.awaitingMarks.size,
+      remainingMs: Math.round(bufferedMs + unsentBytes / FRAME_BYTES * FRAME_MS)
+    };
+  }
+
+  /**
+   * Drop everything queued and tell Twilio to flush its buffer
+   * @returns {number} Clips dropped
+   */
+  clear() {
+    const dropped = this.drop("cleared");
+    this.send({ event: "clear" });
+    return dropped;
+  }
+
+  /**
+   * Stop without sending anything (the leg is gone)
+   * @returns {number} Clips dropped
+   */
+  close() {
+    return this.drop("closed");
+  }
+
+  drop(reason) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const clips = [...this.clips, ...this.awaitingMarks.values()];
+    this.clips = [];
+    this.awaitingMarks.clear();
+    this.playoutEnd = 0;
+
+    clips.forEach(clip => clip.resolve(reason));
+    return clips.length;
+  }
+
+  schedule(delayMs) {
+    if (this.timer || this.clips.length === 0) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.pump();
+    }, delayMs);
+  }
+
+  /**
+   * Send every frame due within the lead window, then sleep until the next
+   */
+  pump() {
+    const now = Date.now();
+
+    // Idle or starved: Twilio's buffer is empty, restart the clock
+    if (this.playoutEnd < now) {
+      this.playoutEnd = now;
+    }
+
+    while (this.clips.length > 0 && this.playoutEnd < now + this.leadMs) {
+      const clip = this.clips[0];
+      this.sendFrame(clip);
+
+      if (clip.offset >= clip.audio.length) {
+        this.clips.shift();
+        this.send({ event: "mark", mark: { name: clip.markName } });
+        this.awaitingMarks.set(clip.markName, clip);
+      }
+    }
+
+    this.schedule(Math.max(0, this.playoutEnd - this.leadMs - Date.now()));
+  }
+
+  sendFrame(clip) {
+    if (clip.offset === 0 && clip.onStart) {
+      clip.onStart();
+    }
+
+    let frame = clip.audio.subarray(clip.offset, clip.offset + FRAME_BYTES);
+    clip.offset += FRAME_BYTES;
+
+    // Pad the clip's last frame so every frame is exactly 20ms
+    if (frame.length < FRAME_BYTES) {
+      frame = Buffer.concat([frame, Buffer.alloc(FRAME_BYTES - frame.length, MULAW_SILENCE)]);
+    }
+
+    this.send({ event: "media", media: { payload: frame.toString("base64") } });
+    this.playoutEnd += FRAME_MS;
+
+    if (this.onFrame) {
+      this.onFrame(frame);
+    }
+  }
+}
+
+module.exports = PlaybackQueue;
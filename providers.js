@@ -0,0 +1,100 @@
+// ===========================
+// 🔌 Provider Registry - STT / translation / TTS selection
+// Deployment default comes from env (STT_PROVIDER, TRANSLATE_PROVIDER,
+// TTS_PROVIDER); a room can override any of them at creation time.
+// ===========================
+
+// kind -> name -> factory
+const factories = {
+  stt: new Map(),
+  translate: new Map(),
+  tts: new Map()
+};
+
+// Provider instances are stateless enough to share across processors
+const instances = new Map();
+
+/**
+ * Register a provider implementation
+ * @param {string} kind - "stt" | "translate" | "tts"
+ * @param {string} name - Name used in configuration
+ * @param {Function} factory - Returns the provider instance
+ */
+function registerProvider(kind, name, factory) {
+  if (!factories[kind]) {
+    throw new Error(`Unknown provider kind: ${kind}`);
+  }
+  factories[kind].set(name, factory);
+}
+
+registerProvider("stt", "google", () => new (require("./google-providers").GoogleRecognizer)());
+registerProvider("translate", "google", () => new (require("./google-providers").GoogleTranslator)());
+registerProvider("tts", "google", () => new (require("./google-providers").GoogleSynthesizer)());
+
+registerProvider("stt", "local", () => new (require("./local-providers").ScriptedRecognizer)());
+registerProvider("translate", "local", () => new (require("./local-providers").DictionaryTranslator)());
+registerProvider("tts", "local", () => new (require("./local-providers").ToneSynthesizer)());
+
+/**
+ * Deployment-wide provider names
+ * @returns {Object} { stt, translate, tts }
+ */
+function getDefaultProviderConfig() {
+  const fallback = process.env.PROVIDER || "google";
+  return {
+    stt: process.env.STT_PROVIDER || fallback,
+    translate: process.env.TRANSLATE_PROVIDER || fallback,
+    tts: process.env.TTS_PROVIDER || fallback
+  };
+}
+
+/**
+ * Check a (partial) provider config
+ * @param {Object} config
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateProviderConfig(config) {
+  if (!config) return null;
+  if (typeof config !== "object") return "providers must be an object";
+
+  for (const [kind, name] of Object.entries(config)) {
+    if (!factories[kind]) return `Unknown provider kind: ${kind}`;
+    if (!factories[kind].has(name)) return `Unknown ${kind} provider: ${name}`;
+  }
+  return null;
+}
+
+function getProvider(kind, name) {
+  const key = `${kind}:${name}`;
+  if (!instances.has(key)) {
+    const factory = factories[kind].get(name);
+    if (!factory) {
+      throw new Error(`Unknown ${kind} provider: ${name}`);
+    }
+    instances.set(key, factory());
+  }
+  return instances.get(key);
+}
+
+/**
+ * Resolve provider instances, room overrides on top of deployment defaults
+ * @param {Object} [overrides] - e.g. { tts: "local" }
+ * @returns {Object} { recognizer, translator, synthesizer, names }
+ */
+function resolveProviders(overrides) {
+  const names = { ...getDefaultProviderConfig(), ...(overrides || {}) };
+
+  return {
+    recognizer: getProvider("stt", names.stt),
+    translator: getProvider("translate", names.translate),
+    synthesizer: getProvider("tts", names.tts),
+    names: names
+  };
+}
+
+module.exports = {
+  registerProvider,
+  getDefaultProviderConfig,
+  validateProviderConfig,
+  resolveProviders
+};
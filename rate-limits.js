@@ -0,0 +1,164 @@
+// ===========================
+// 🚦 Rate Limits - Per-IP request limits and per-room quotas
+// REST routes get a requests-per-minute budget per client IP. Rooms are
+// capped per owner, in call length, and in audio minutes sent through
+// STT/TTS so one room can't run up an unbounded bill. Phone callers get
+// a budget of wrong room PINs so they can't guess their way in.
+// ===========================
+
+const WINDOW_MS = 60000;
+
+// Requests per minute per IP, by first path segment ("create-room", ...)
+const DEFAULT_ROUTE_LIMIT = parseInt(process.env.RATE_LIMIT_PER_MINUTE) || 120;
+const ROUTE_LIMITS = {
+  "create-room": 10,
+  "join-room": 20,
+  "voice-token": 20,
+  "dial-out": 10,
+  "send-message": 30,
+  ...parseRouteLimits(process.env.RATE_LIMITS)
+};
+
+// Polled by load balancers and Prometheus; /twiml/* webhooks come from
+// Twilio's shared IPs and are checked by their signature instead
+const EXEMPT_ROUTES = new Set(["health", "metrics", "twiml"]);
+
+// Wrong room PINs one caller (phone number) may enter per window
+const PIN_LIMITS = {
+  maxFailures: parseInt(process.env.PIN_FAILURES_PER_CALLER) || 10,
+  windowMs: (parseFloat(process.env.PIN_LOCKOUT_MINUTES) || 15) * 60000
+};
+
+const ROOM_LIMITS = {
+  maxRoomsPerIdentity: parseInt(process.env.MAX_ROOMS_PER_IDENTITY) || 3,
+  maxCallMs: (parseFloat(process.env.MAX_CALL_MINUTES) || 60) * 60000,
+  maxAudioMs: (parseFloat(process.env.ROOM_AUDIO_MINUTES) || 120) * 60000
+};
+
+/**
+ * "create-room=5,voice-token=30" -> { "create-room": 5, "voice-token": 30 }
+ */
+function parseRouteLimits(spec) {
+  const limits = {};
+  for (const entry of (spec || "").split(",")) {
+    const [route, limit] = entry.split("=").map(part => part && part.trim());
+    if (route && parseInt(limit) > 0) {
+      limits[route] = parseInt(limit);
+    }
+  }
+  return limits;
+}
+
+// "ip|route" -> { windowStart, count }
+const windows = new Map();
+
+function routeKey(path) {
+  return path.split("/").filter(Boolean)[0] || "root";
+}
+
+/**
+ * Express middleware: 429 once a client IP exceeds a route's limit
+ */
+function rateLimit(req, res, next) {
+  const route = routeKey(req.path);
+  if (EXEMPT_ROUTES.has(route)) return next();
+
+  const limit = ROUTE_LIMITS[route] || DEFAULT_ROUTE_LIMIT;
+  const key = `${req.ip}|${route}`;
+  const now = Date.now();
+
+  let window = windows.get(key);
+  if (!window || now - window.windowStart >= WINDOW_MS) {
+    window = { windowStart: now, count: 0 };
+    windows.set(key, window);
+  }
+  window.count++;
+
+  if (window.count > limit) {
+    const retryAfter = Math.ceil((window.windowStart + WINDOW_MS - now) / 1000);
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({ error: "Too many requests", retryAfter: retryAfter });
+  }
+
+  next();
+}
+
+// caller -> { windowStart, count } of wrong PINs
+const pinFailures = new Map();
+
+/**
+ * @param {string} caller - Caller's phone number
+ * @returns {boolean} Whether the caller used up its wrong PINs for now
+ */
+function isPinLockedOut(caller) {
+  const window = pinFailures.get(caller);
+  return !!window && Date.now() - window.windowStart < PIN_LIMITS.windowMs &&
+    window.count >= PIN_LIMITS.maxFailures;
+}
+
+/**
+ * Count a PIN that matched no room against the caller
+ * @param {string} caller
+ */
+function recordPinFailure(caller) {
+  const now = Date.now();
+  let window = pinFailures.get(caller);
+  if (!window || now - window.windowStart >= PIN_LIMITS.windowMs) {
+    window = { windowStart: now, count: 0 };
+    pinFailures.set(caller, window);
+  }
+  window.count++;
+}
+
+/**
+ * Forget finished rate-limit and PIN windows
+ */
+function cleanupRateLimits() {
+  const now = Date.now();
+  for (const [key, window] of windows.entries()) {
+    if (now - window.windowStart >= WINDOW_MS) windows.delete(key);
+  }
+  for (const [caller, window] of pinFailures.entries()) {
+    if (now - window.windowStart >= PIN_LIMITS.windowMs) pinFailures.delete(caller);
+  }
+}
+
+/**
+ * Live rooms created by one owner (account or IP)
+ */
+function countRoomsOwnedBy(sessions, owner) {
+  let count = 0;
+  for (const session of sessions.values()) {
+    if (session.owner === owner) count++;
+  }
+  return count;
+}
+
+function minutes(ms) {
+  return Math.round(ms / 6000) / 10;
+}
+
+/**
+ * @param {Object} session
+ * @returns {string|null} Why the room must end, if it is over a limit
+ */
+function getRoomLimitExceeded(session) {
+  if (session.callStartedAt && Date.now() - session.callStartedAt >= ROOM_LIMITS.maxCallMs) {
+    return `Maximum call duration of ${minutes(ROOM_LIMITS.maxCallMs)} minutes reached`;
+  }
+  if ((session.audioMs || 0) >= ROOM_LIMITS.maxAudioMs) {
+    return `Audio budget of ${minutes(ROOM_LIMITS.maxAudioMs)} minutes used up`;
+  }
+  return null;
+}
+
+module.exports = {
+  ROOM_LIMITS,
+  PIN_LIMITS,
+  rateLimit,
+  isPinLockedOut,
+  recordPinFailure,
+  cleanupRateLimits,
+  countRoomsOwnedBy,
+  getRoomLimitExceeded
+};
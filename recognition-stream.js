@@ -0,0 +1,174 @@
+// ===========================
+// 🌊 Recognition Stream - Long-lived streaming STT session
+// Wraps a provider stream; reopens it lazily after errors and restarts it
+// before the provider's stream-duration limit is reached.
+// ===========================
+
+// Google caps a streaming session at ~305s of audio
+const DEFAULT_RESTART_AFTER_MS = parseInt(process.env.STT_STREAM_RESTART_MS) || 240000;
+const DEFAULT_MAX_STREAM_MS = parseInt(process.env.STT_STREAM_MAX_MS) || 290000;
+
+// An ended stream that never reports its end is forgotten after this
+const DRAIN_TIMEOUT_MS = 10000;
+
+const { createLogger } = require("./logger");
+
+class RecognitionStream {
+  /**
+   * @param {Object} recognizer - Provider with createStream()
+   * @param {Object} options - { languageCode, alternativeLanguageCodes, onInterim, onFinal, restartAfterMs, maxStreamMs, logger }
+   */
+  constructor(recognizer, options) {
+    this.recognizer = recognizer;
+    this.languageCode = options.languageCode;
+    this.alternativeLanguageCodes = options.alternativeLanguageCodes || [];
+    this.onInterim = options.onInterim || (() => {});
+    this.onFinal = options.onFinal || (() => {});
+    this.log = options.logger || createLogger("stt");
+
+    // Soft limit: restart at the next final result.
+    // Hard limit: restart even mid-utterance.
+    this.restartAfterMs = options.restartAfterMs || DEFAULT_RESTART_AFTER_MS;
+    this.maxStreamMs = options.maxStreamMs || DEFAULT_MAX_STREAM_MS;
+
+    this.stream = null;
+    this.draining = new Map();  // ended streams (-> drain timeout), still flushing their last results
+    this.streamStartedAt = 0;
+    this.restarts = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Feed one frame of PCM audio (16-bit, 8000Hz)
+   * @param {Buffer} pcmFrame
+   */
+  write(pcmFrame) {
+    if (this.closed) return;
+
+    if (this.stream && Date.now() - this.streamStartedAt >= this.maxStreamMs) {
+      this.log.info("Recognition stream hit duration limit, restarting");
+      this.restart();
+    }
+
+    if (!this.stream) {
+      this.open();
+    }
+
+    try {
+      this.stream.write(pcmFrame);
+    } catch (error) {
+      this.log.error("Recognition stream write error", { error: error });
+      this.drop();
+    }
+  }
+
+  open() {
+    const stream = this.recognizer.createStream(
+      {
+        languageCode: this.languageCode,
+        alternativeLanguageCodes: this.alternativeLanguageCodes,
+        interimResults: true
+      },
+      {
+        onResult: (result) => this.handleResult(stream, result),
+        onError: (error) => this.handleError(stream, error),
+        onEnd: () => this.finishDraining(stream)
+      }
+    );
+
+    this.stream = stream;
+    this.streamStartedAt = Date.now();
+  }
+
+  handleResult(stream, result) {
+    if (this.closed || !result || !result.transcript) return;
+    if (stream !== this.stream && !this.draining.has(stream)) return;
+
+    if (this.draining.has(stream)) {
+      // Late results from a restarted stream: only finals matter
+      if (result.isFinal) this.onFinal(result);
+      return;
+    }
+
+    if (!result.isFinal) {
+      this.onInterim(result);
+      return;
+    }
+
+    this.onFinal(result);
+
+    // Restart on an utterance boundary once past the soft limit
+    if (Date.now() - this.streamStartedAt >= this.restartAfterMs) {
+      this.restart();
+    }
+  }
+
+  handleError(stream, error) {
+    if (this.draining.has(stream)) {
+      this.finishDraining(stream);
+      return;
+    }
+    if (stream !== this.stream) return;
+
+    // Typically the provider's duration or idle timeout; the next
+    // write reopens the stream
+    this.log.warn("Recognition stream error", { error: error?.message || String(error) });
+    this.drop();
+  }
+
+  restart() {
+    this.end();
+    this.restarts++;
+  }
+
+  /**
+   * Recognize in other languages from the next stream on
+   */
+  setLanguages(languageCode, alternativeLanguageCodes) {
+    this.languageCode = languageCode;
+    this.alternativeLanguageCodes = alternativeLanguageCodes || [];
+    if (this.stream) {
+      this.restart();
+    }
+  }
+
+  /**
+   * Forget the current stream without waiting for it
+   */
+  drop() {
+    this.stream = null;
+  }
+
+  /**
+   * Flush the current stream; results still in flight are delivered
+   */
+  end() {
+    const stream = this.stream;
+    this.drop();
+
+    if (stream) {
+      this.draining.set(stream, setTimeout(() => this.finishDraining(stream), DRAIN_TIMEOUT_MS));
+      try {
+        stream.end();
+      } catch (error) {
+        this.log.warn("Recognition stream end error", { error: error });
+        this.finishDraining(stream);
+      }
+    }
+  }
+
+  /**
+   * An ended stream has delivered everything it will
+   */
+  finishDraining(stream) {
+    clearTimeout(this.draining.get(stream));
+    this.draining.delete(stream);
+  }
+
+  close() {
+    this.closed = true;
+    this.end();
+  }
+}
+
+module.exports = RecognitionStream;
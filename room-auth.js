@@ -0,0 +1,223 @@
+// ===========================
+// 🔐 Room Auth - Room tokens, admin and account keys, Twilio webhook validation
+// A room token binds a roomId, a role (the participant's userType, or
+// "invite" for a join link) and an identity. Tokens are HMAC-signed; for
+// a live room the identity must also still be the participant's, so a
+// token dies with its holder's place in the room.
+// ===========================
+
+const crypto = require("crypto");
+const twilio = require("twilio");
+const { createLogger } = require("./logger");
+const { getTokenParticipant } = require("./room-session");
+
+const log = createLogger("auth");
+
+const TOKEN_TTL_SECONDS = parseInt(process.env.ROOM_TOKEN_TTL_SECONDS) || 4 * 3600;
+
+// Role carried by join links; it may only be exchanged at /join-room
+const INVITE_ROLE = "invite";
+
+const TOKEN_SECRET = process.env.ROOM_TOKEN_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.ROOM_TOKEN_SECRET) {
+  log.warn("ROOM_TOKEN_SECRET not set: using a random secret, room tokens will not survive a restart");
+}
+
+function sign(data) {
+  return crypto.createHmac("sha256", TOKEN_SECRET).update(data).digest("base64url");
+}
+
+/**
+ * @param {Object} claims - { roomId, role, identity }
+ * @param {number} [ttlSeconds]
+ * @returns {string} Token
+ */
+function createRoomToken(claims, ttlSeconds = TOKEN_TTL_SECONDS) {
+  const payload = Buffer.from(JSON.stringify({
+    roomId: claims.roomId,
+    role: claims.role,
+    identity: claims.identity || null,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  })).toString("base64url");
+
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * @param {string} token
+ * @returns {Object|null} { roomId, role, identity, exp } if valid and unexpired
+ */
+function verifyRoomToken(token) {
+  if (typeof token !== "string") return null;
+
+  const [payload, signature] = token.split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return claims.exp * 1000 > Date.now() ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// roomId -> live session, set by the server (see setRoomLookup)
+let roomLookup = () => null;
+
+/**
+ * Let requireRoomToken check tokens against the live roster
+ * @param {Function} lookup - (roomId) => session or undefined
+ */
+function setRoomLookup(lookup) {
+  roomLookup = lookup;
+}
+
+/**
+ * Token from "Authorization: Bearer", then body, then query string
+ */
+function getRequestToken(req) {
+  const header = req.get("authorization") || "";
+  if (header.startsWith("Bearer ")) {
+    return header.slice(7).trim();
+  }
+  return req.body?.token || req.query?.token || null;
+}
+
+/**
+ * Express middleware: the request must carry a valid token for the room
+ * it names (roomId in params, body or query). Sets req.roomToken.
+ * @param {Object} [options] - { allowInvite }: accept join-link tokens
+ */
+function requireRoomToken(options = {}) {
+  return (req, res, next) => {
+    const claims = verifyRoomToken(getRequestToken(req));
+    if (!claims) {
+      return res.status(401).json({ error: "Missing or invalid room token" });
+    }
+
+    const roomId = req.params.roomId || req.body?.roomId || req.query?.roomId;
+    if (roomId && roomId !== claims.roomId) {
+      return res.status(403).json({ error: "Token is not valid for this room" });
+    }
+
+    if (claims.role === INVITE_ROLE && !options.allowInvite) {
+      return res.status(403).json({ error: "Join the room before using this endpoint" });
+    }
+
+    // Left or removed participants keep no access to a live room
+    const session = claims.role !== INVITE_ROLE ? roomLookup(claims.roomId) : null;
+    if (session && !getTokenParticipant(session, claims)) {
+      return res.status(403).json({ error: "Token no longer belongs to a participant of this room" });
+    }
+
+    req.roomToken = claims;
+    next();
+  };
+}
+
+/**
+ * Express middleware for operator endpoints: "Authorization: Bearer
+ * <ADMIN_API_KEY>". Without ADMIN_API_KEY they are switched off.
+ */
+function requireAdminKey(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({ error: "Admin API is disabled (ADMIN_API_KEY not set)" });
+  }
+
+  const header = req.get("authorization") || "";
+  const given = Buffer.from(header.startsWith("Bearer ") ? header.slice(7).trim() : "");
+  const expected = Buffer.from(adminKey);
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: "Invalid admin key" });
+  }
+
+  next();
+}
+
+// Account API keys, "acme=<key>,globex=<key>"; a room is only created
+// for an account when the request carries its key
+const ACCOUNT_KEYS = parseAccountKeys(process.env.ACCOUNT_API_KEYS);
+
+function parseAccountKeys(spec) {
+  const keys = [];
+  for (const entry of (spec || "").split(",")) {
+    const index = entry.indexOf("=");
+    const accountId = entry.slice(0, index).trim();
+    const key = entry.slice(index + 1).trim();
+    if (index > 0 && accountId && key) {
+      keys.push({ accountId: accountId, key: Buffer.from(key) });
+    }
+  }
+  return keys;
+}
+
+/**
+ * The account a request is made for: "X-Account-Key: <key>" names it,
+ * a body accountId must match it
+ * @param {Object} req
+ * @returns {Object} { accountId } (null without a key) or { status, error }
+ */
+function authenticateAccount(req) {
+  const header = req.get("x-account-key");
+  const claimed = req.body?.accountId || null;
+
+  if (!header) {
+    return claimed
+      ? { status: 401, error: "accountId requires a valid X-Account-Key" }
+      : { accountId: null };
+  }
+
+  const given = Buffer.from(header.trim());
+  const match = ACCOUNT_KEYS.find(entry =>
+    entry.key.length === given.length && crypto.timingSafeEqual(entry.key, given));
+
+  if (!match) {
+    return { status: 401, error: "Invalid account key" };
+  }
+  if (claimed && claimed !== match.accountId) {
+    return { status: 403, error: "Account key is not valid for this accountId" };
+  }
+  return { accountId: match.accountId };
+}
+
+/**
+ * Express middleware: reject webhooks without a valid X-Twilio-Signature.
+ * Behind a proxy set PUBLIC_BASE_URL so the signed URL matches.
+ * TWILIO_VALIDATE_SIGNATURE=false turns it off for local development.
+ */
+function validateTwilioSignature(req, res, next) {
+  if (process.env.TWILIO_VALIDATE_SIGNATURE === "false") {
+    return next();
+  }
+
+  const signature = req.get("x-twilio-signature");
+  const baseUrl = process.env.PUBLIC_BASE_URL ||
+    `${req.get("x-forwarded-proto") || req.protocol}://${req.get("host")}`;
+  const url = baseUrl.replace(/\/$/, "") + req.originalUrl;
+
+  if (!signature || !twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, url, req.body || {})) {
+    log.warn("Rejected webhook with invalid Twilio signature", { path: req.path });
+    return res.status(403).type("text/plain").send("Invalid Twilio signature");
+  }
+
+  next();
+}
+
+module.exports = {
+  INVITE_ROLE,
+  createRoomToken,
+  verifyRoomToken,
+  setRoomLookup,
+  requireRoomToken,
+  requireAdminKey,
+  authenticateAccount,
+  validateTwilioSignature
+};
@@ -0,0 +1,204 @@
+// ===========================
+// 📣 Room Events - Push channel for transcripts, captions and room events
+// Every event gets a per-room increasing id and is kept in a bounded log,
+// so a client that reconnects with its last-seen id gets what it missed.
+// Subscribers are re-authorized on every delivery and message; one that
+// no longer may listen is disconnected.
+// ===========================
+
+const { createLogger } = require("./logger");
+
+const HISTORY_SIZE = parseInt(process.env.ROOM_EVENT_HISTORY) || 500;
+
+const log = createLogger("events");
+
+class RoomEventHub {
+  /**
+   * @param {Object} [options] - { historySize, authorize(subscriber) }:
+   *   authorize returns whether a subscriber may still listen
+   */
+  constructor(options = {}) {
+    this.historySize = options.historySize || HISTORY_SIZE;
+    this.authorize = options.authorize || (() => true);
+
+    // roomId -> { nextId, events: [], subscribers: Set, updatedAt }
+    this.rooms = new Map();
+
+    // Called with (subscriber, message) for client -> server messages
+    this.messageHandlers = new Map();
+  }
+
+  getRoom(roomId) {
+    if (!this.rooms.has(roomId)) {
+      this.rooms.set(roomId, {
+        nextId: 1,
+        events: [],
+        subscribers: new Set(),
+        updatedAt: Date.now()
+      });
+    }
+    return this.rooms.get(roomId);
+  }
+
+  /**
+   * Publish an event to a room
+   * @param {string} roomId
+   * @param {string} type - e.g. "transcript", "translation", "participant-joined"
+   * @param {Object} data - Event payload
+   * @param {string} [to] - Only deliver to this userType (default: everyone)
+   * @returns {Object} The stored event
+   */
+  publish(roomId, type, data, to) {
+    if (!roomId) return null;
+
+    const room = this.getRoom(roomId);
+    const event = {
+      id: room.nextId++,
+      type: type,
+      roomId: roomId,
+      to: to || null,
+      data: data || {},
+      timestamp: Date.now()
+    };
+
+    room.events.push(event);
+    if (room.events.length > this.historySize) {
+      room.events.shift();
+    }
+    room.updatedAt = event.timestamp;
+
+    for (const subscriber of room.subscribers) {
+      this.deliver(subscriber, event);
+    }
+
+    return event;
+  }
+
+  /**
+   * Attach a client WebSocket to a room's event stream
+   * @param {WebSocket} ws
+   * @param {Object} options - { roomId, userType, identity, lastEventId }
+   */
+  subscribe(ws, options) {
+    const room = this.getRoom(options.roomId);
+    const subscriber = {
+      ws: ws,
+      roomId: options.roomId,
+      userType: options.userType || null,
+      identity: options.identity || null
+    };
+
+    // Replay what the client missed while disconnected
+    const lastEventId = parseInt(options.lastEventId);
+    if (!isNaN(lastEventId)) {
+      const oldest = room.events.length > 0 ? room.events[0].id : room.nextId;
+      if (lastEventId + 1 < oldest) {
+        // Part of the gap has rolled out of the log
+        this.send(ws, { type: "resync-required", oldestEventId: oldest });
+      }
+      for (const event of room.events) {
+        if (event.id > lastEventId) this.deliver(subscriber, event);
+      }
+    }
+
+    room.subscribers.add(subscriber);
+    this.send(ws, { type: "subscribed", roomId: options.roomId, lastEventId: room.nextId - 1 });
+
+    ws.on("message", (message) => {
+      if (!this.checkSubscriber(subscriber)) return;
+
+      let data;
+      try {
+        data = JSON.parse(message);
+      } catch (error) {
+        return this.send(ws, { type: "error", error: "Invalid JSON" });
+      }
+
+      if (data.type === "ping") {
+        return this.send(ws, { type: "pong" });
+      }
+
+      const handler = this.messageHandlers.get(data.type);
+      if (!handler) {
+        return this.send(ws, { type: "error", error: `Unknown message type: ${data.type}` });
+      }
+
+      Promise.resolve(handler(subscriber, data)).catch((error) => {
+        log.error("Room event handler error", { type: data.type, roomId: subscriber.roomId, error: error });
+        this.send(ws, { type: "error", error: error.message });
+      });
+    });
+
+    ws.on("close", () => room.subscribers.delete(subscriber));
+    ws.on("error", () => room.subscribers.delete(subscriber));
+
+    return subscriber;
+  }
+
+  /**
+   * Register a handler for a client -> server message type
+   */
+  onMessage(type, handler) {
+    this.messageHandlers.set(type, handler);
+  }
+
+  deliver(subscriber, event) {
+    if (event.to && subscriber.userType && event.to !== subscriber.userType) {
+      return;
+    }
+    if (!this.checkSubscriber(subscriber)) return;
+
+    this.send(subscriber.ws, event);
+  }
+
+  /**
+   * Disconnect a subscriber that may no longer listen
+   * @returns {boolean} Whether it may
+   */
+  checkSubscriber(subscriber) {
+    if (this.authorize(subscriber)) return true;
+
+    const room = this.rooms.get(subscriber.roomId);
+    if (room) room.subscribers.delete(subscriber);
+    if (subscriber.ws.readyState === 1) {
+      subscriber.ws.close(4003, "No longer a participant of this room");
+    }
+    return false;
+  }
+
+  /**
+   * Re-check every subscriber of a room now (e.g. after someone left)
+   */
+  revalidate(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    for (const subscriber of Array.from(room.subscribers)) {
+      this.checkSubscriber(subscriber);
+    }
+  }
+
+  send(ws, payload) {
+    try {
+      if (ws.readyState === 1) {
+        ws.send(JSON.stringify(payload));
+      }
+    } catch (error) {
+      log.warn("Could not push room event", { error: error?.message || String(error) });
+    }
+  }
+
+  /**
+   * Drop logs of rooms that have been quiet and unwatched for maxAgeMs
+   */
+  cleanup(maxAgeMs) {
+    const now = Date.now();
+    for (const [roomId, room] of this.rooms.entries()) {
+      if (room.subscribers.size === 0 && now - room.updatedAt > maxAgeMs) {
+        this.rooms.delete(roomId);
+      }
+    }
+  }
+}
+
+module.exports = RoomEventHub;
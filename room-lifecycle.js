@@ -0,0 +1,72 @@
+// ===========================
+// 🔄 Room Lifecycle - Room states and the transitions between them
+// created       room exists, no media leg has connected yet
+// waiting       legs connected, but fewer than two to translate between
+// active        two or more legs connected
+// reconnecting  a leg dropped and is inside its grace window to rejoin
+// ended         closed for everyone (terminal)
+// ===========================
+
+const { createLogger } = require("./logger");
+
+const log = createLogger("rooms");
+
+// Time a dropped leg has to rejoin the same room and role
+const RECONNECT_GRACE_MS = (parseFloat(process.env.RECONNECT_GRACE_SECONDS) || 30) * 1000;
+
+const ROOM_STATES = ["created", "waiting", "active", "reconnecting", "ended"];
+
+// state -> states it may move to
+const TRANSITIONS = {
+  created: ["waiting", "ended"],
+  waiting: ["active", "reconnecting", "ended"],
+  active: ["waiting", "reconnecting", "ended"],
+  reconnecting: ["waiting", "active", "ended"],
+  ended: []
+};
+
+/**
+ * The state a room's roster implies (a room never leaves "ended")
+ * @param {Object} session
+ * @returns {string}
+ */
+function deriveRoomState(session) {
+  const state = session.state || "created";
+  if (state === "ended") return "ended";
+
+  if (session.participants.some(p => p.reconnectDeadline)) {
+    return "reconnecting";
+  }
+
+  const connected = session.participants.filter(p => p.connection).length;
+  if (connected >= 2) return "active";
+  if (connected === 1 || state !== "created") return "waiting";
+  return "created";
+}
+
+/**
+ * Move a room to a new state if the transition is allowed
+ * @param {Object} session
+ * @param {string} to
+ * @returns {Object|null} { from, to }, or null if nothing changed
+ */
+function transitionRoom(session, to) {
+  const from = session.state || "created";
+  if (from === to) return null;
+
+  if (!TRANSITIONS[from].includes(to)) {
+    log.warn("Invalid room state transition", { roomId: session.roomId, from: from, to: to });
+    return null;
+  }
+
+  session.state = to;
+  session.stateChangedAt = Date.now();
+  return { from: from, to: to };
+}
+
+module.exports = {
+  RECONNECT_GRACE_MS,
+  ROOM_STATES,
+  deriveRoomState,
+  transitionRoom
+};
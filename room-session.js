@@ -0,0 +1,216 @@
+// ===========================
+// 👥 Room Session - Participant roster helpers
+// A room holds N participants, each with its own language and media leg
+// ===========================
+
+const crypto = require("crypto");
+
+const DEFAULT_MAX_PARTICIPANTS = parseInt(process.env.MAX_ROOM_PARTICIPANTS) || 4;
+
+/**
+ * Build a new room session with the creator as first participant
+ * @param {string} roomId
+ * @param {Object} creator - { language, name, identity }
+ * @param {number} [maxParticipants]
+ * @returns {Object} Session
+ */
+function createSession(roomId, creator, maxParticipants) {
+  const session = {
+    roomId: roomId,
+    participants: [],
+    maxParticipants: Math.max(2, maxParticipants || DEFAULT_MAX_PARTICIPANTS),
+    state: "created",
+    createdAt: Date.now()
+  };
+
+  addParticipant(session, {
+    userType: "caller",
+    language: creator.language,
+    name: creator.name,
+    identity: creator.identity
+  });
+
+  return session;
+}
+
+/**
+ * Pick the userType for the next joiner.
+ * The first two legs keep the historic "caller"/"receiver" names.
+ * @param {Object} session
+ * @returns {string}
+ */
+function nextUserType(session) {
+  const taken = new Set(session.participants.map(p => p.userType));
+  if (!taken.has("caller")) return "caller";
+  if (!taken.has("receiver")) return "receiver";
+
+  let n = 3;
+  while (taken.has(`participant-${n}`)) n++;
+  return `participant-${n}`;
+}
+
+/**
+ * Add a participant to the roster. Its identity is what its room tokens
+ * carry, so a later holder of the same userType gets different tokens.
+ * @param {Object} session
+ * @param {Object} info - { userType?, language, name, identity? }
+ * @returns {Object|null} Participant, or null if the room is full
+ */
+function addParticipant(session, info) {
+  if (isFull(session)) {
+    return null;
+  }
+
+  const participant = {
+    userType: info.userType || nextUserType(session),
+    identity: info.identity || "user_" + crypto.randomUUID(),
+    language: info.language || null,
+    name: info.name || null,
+    joinedAt: Date.now(),
+    connection: null
+  };
+
+  session.participants.push(participant);
+  return participant;
+}
+
+/**
+ * Remove a participant from the roster
+ * @param {Object} session
+ * @param {string} userType
+ * @returns {Object|null} Removed participant
+ */
+function removeParticipant(session, userType) {
+  const index = session.participants.findIndex(p => p.userType === userType);
+  if (index === -1) return null;
+
+  return session.participants.splice(index, 1)[0];
+}
+
+function getParticipant(session, userType) {
+  return session.participants.find(p => p.userType === userType) || null;
+}
+
+/**
+ * The participant a room token was issued to, if it is still in the room
+ * @param {Object} session
+ * @param {Object} claims - Verified token claims { role, identity }
+ * @returns {Object|null} Participant
+ */
+function getTokenParticipant(session, claims) {
+  const participant = getParticipant(session, claims.role);
+  return participant && participant.identity === claims.identity ? participant : null;
+}
+
+function getOtherParticipants(session, userType) {
+  return session.participants.filter(p => p.userType !== userType);
+}
+
+function isFull(session) {
+  return session.participants.length >= session.maxParticipants;
+}
+
+/**
+ * Group the other live legs by the language they listen in, so each
+ * distinct target language is translated and synthesized only once.
+ * @param {Object} session
+ * @param {string} speakerType - userType of the speaker
+ * @returns {Map<string, Array<Object>>} language -> listener connections
+ */
+function getListenerGroups(session, speakerType) {
+  const groups = new Map();
+
+  for (const participant of getOtherParticipants(session, speakerType)) {
+    const connection = participant.connection;
+    if (!connection || !connection.myLanguage) continue;
+
+    const language = connection.myLanguage;
+    if (!groups.has(language)) {
+      groups.set(language, []);
+    }
+    groups.get(language).push(connection);
+  }
+
+  return groups;
+}
+
+/**
+ * Serializable participant list (no connection objects)
+ * @param {Object} session
+ * @returns {Array<Object>}
+ */
+function toRoster(session) {
+  return session.participants.map(p => ({
+    userType: p.userType,
+    name: p.name,
+    language: p.language,
+    joinedAt: p.joinedAt,
+    connected: !!p.connection,
+    reconnecting: !!p.reconnectDeadline,
+    translationPaused: !!p.translationPaused,
+    callStatus: p.callStatus || null,
+    playback: p.connection && p.connection.playback ? p.connection.playback.getStatus() : null
+  }));
+}
+
+// Live objects that never leave the process
+const LIVE_FIELDS = new Set(["connection", "textProcessor"]);
+
+/**
+ * Plain, JSON-safe copy of a session for storage
+ * @param {Object} session
+ * @returns {Object} Room record
+ */
+function toRecord(session) {
+  return JSON.parse(JSON.stringify(session, (key, value) =>
+    LIVE_FIELDS.has(key) ? undefined : value
+  ));
+}
+
+/**
+ * What participants get to see of a room record: the roster without
+ * identities, phone numbers, call SIDs or the room PIN
+ * @param {Object} record - From toRecord (live or ended room)
+ * @returns {Object}
+ */
+function toPublicRecord(record) {
+  return {
+    roomId: record.roomId,
+    state: record.state,
+    createdAt: record.createdAt,
+    endedAt: record.endedAt || null,
+    participants: (record.participants || []).map(p => ({
+      userType: p.userType,
+      name: p.name,
+      language: p.language,
+      joinedAt: p.joinedAt
+    }))
+  };
+}
+
+/**
+ * Rebuild a live session from a stored record (no legs connected)
+ * @param {Object} record
+ * @returns {Object} Session
+ */
+function fromRecord(record) {
+  const session = { ...record };
+  delete session.endedAt;
+  session.participants = (record.participants || []).map(p => ({ ...p, connection: null }));
+  return session;
+}
+
+module.exports = {
+  createSession,
+  addParticipant,
+  removeParticipant,
+  getParticipant,
+  getTokenParticipant,
+  getOtherParticipants,
+  getListenerGroups,
+  isFull,
+  toRoster,
+  toRecord,
+  toPublicRecord,
+  fromRecord
+};
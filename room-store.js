@@ -0,0 +1,402 @@
+// ===========================
+// 🗄️ Room Store - Rooms, participants and utterances
+// Live sessions use the Map API (get/set/has/delete/entries) so callers
+// keep treating the store like the old activeSessions Map; every set()
+// is a save. Ended rooms and their transcripts stay queryable.
+// ===========================
+
+const fs = require("fs");
+const path = require("path");
+const { toRecord, fromRecord } = require("./room-session");
+const { createLogger } = require("./logger");
+
+const log = createLogger("store");
+
+// Utterances kept in memory per live room
+const MAX_CACHED_UTTERANCES = 1000;
+
+class MemoryRoomStore {
+  constructor() {
+    this.rooms = new Map();       // roomId -> live session
+    this.endedRooms = new Map();  // roomId -> ended room record
+    this.utterances = new Map();  // roomId -> [utterance]
+  }
+
+  // ----- Live sessions (Map API) -----
+
+  get size() {
+    return this.rooms.size;
+  }
+
+  get(roomId) {
+    return this.rooms.get(roomId);
+  }
+
+  has(roomId) {
+    return this.rooms.has(roomId);
+  }
+
+  keys() {
+    return this.rooms.keys();
+  }
+
+  values() {
+    return this.rooms.values();
+  }
+
+  entries() {
+    return this.rooms.entries();
+  }
+
+  [Symbol.iterator]() {
+    return this.rooms.entries();
+  }
+
+  /**
+   * Save a live session (call after every mutation)
+   */
+  set(roomId, session) {
+    this.rooms.set(roomId, session);
+    this.endedRooms.delete(roomId);
+    this.persistRoom(roomId);
+    return this;
+  }
+
+  /**
+   * End a room. Its record and utterances remain queryable.
+   */
+  delete(roomId) {
+    const session = this.rooms.get(roomId);
+    if (!session) return false;
+
+    this.rooms.delete(roomId);
+
+    const record = { ...toRecord(session), endedAt: Date.now() };
+    this.endedRooms.set(roomId, record);
+    this.persistRoom(roomId);
+    return true;
+  }
+
+  // ----- History -----
+
+  /**
+   * @param {string} roomId
+   * @returns {Object|null} Room record, live or ended
+   */
+  getRoomRecord(roomId) {
+    const session = this.rooms.get(roomId);
+    if (session) return toRecord(session);
+    return this.endedRooms.get(roomId) || null;
+  }
+
+  /**
+   * @param {Object} [options] - { includeEnded, from, to } (createdAt range, ms)
+   * @returns {Array<Object>} Room records
+   */
+  listRooms(options = {}) {
+    const records = Array.from(this.rooms.values()).map(toRecord);
+    if (options.includeEnded) {
+      records.push(...this.endedRooms.values());
+    }
+
+    return records.filter(r =>
+      (!options.from || r.createdAt >= options.from) &&
+      (!options.to || r.createdAt <= options.to)
+    );
+  }
+
+  /**
+   * Store one utterance as delivered to one participant
+   * @param {string} roomId
+   * @param {string} userType - Participant the entry belongs to
+   * @param {Object} utterance - { originalText, translatedText, fromLanguage, toLanguage, isIncoming, timestamp, ... }
+   * @returns {Object} Stored utterance
+   */
+  addUtterance(roomId, userType, utterance) {
+    const record = { roomId: roomId, userType: userType, ...utterance };
+
+    if (!this.utterances.has(roomId)) {
+      this.utterances.set(roomId, []);
+    }
+
+    const list = this.utterances.get(roomId);
+    list.push(record);
+    if (list.length > MAX_CACHED_UTTERANCES) {
+      list.shift();
+    }
+
+    this.persistUtterance(record);
+    return record;
+  }
+
+  /**
+   * @param {string} roomId
+   * @param {Object} [options] - { userType, since }
+   * @returns {Array<Object>}
+   */
+  getUtterances(roomId, options = {}) {
+    const list = this.utterances.get(roomId) || [];
+    const since = options.since || 0;
+
+    return list.filter(u =>
+      u.timestamp > since &&
+      (!options.userType || u.userType === options.userType)
+    );
+  }
+
+  /**
+   * Forget ended rooms older than maxAgeMs
+   */
+  prune(maxAgeMs) {
+    const now = Date.now();
+    for (const [roomId, record] of this.endedRooms.entries()) {
+      if (now - record.endedAt > maxAgeMs) {
+        this.endedRooms.delete(roomId);
+        this.utterances.delete(roomId);
+      }
+    }
+  }
+
+  // Persistence hooks (no-ops in memory)
+  persistRoom(roomId) {}
+  persistUtterance(utterance) {}
+
+  /**
+   * Write out anything not yet persisted
+   * @returns {Promise}
+   */
+  flush() {
+    return Promise.resolve();
+  }
+}
+
+// Changes are written at most this often per room
+const FLUSH_INTERVAL_MS = 1000;
+
+// What /usage needs of an ended room; full records are read on demand
+const INDEX_FIELDS = ["roomId", "accountId", "createdAt", "endedAt", "usage"];
+
+function toIndexEntry(record) {
+  const entry = {};
+  for (const field of INDEX_FIELDS) {
+    if (record[field] !== undefined) entry[field] = record[field];
+  }
+  return entry;
+}
+
+/**
+ * Durable store, two files per room: "<roomId>.json" holds the latest
+ * snapshot (replaced on each save) and "<roomId>.jsonl" the utterances
+ * (appended). Saves are coalesced and written asynchronously, off the
+ * media path. Unended rooms are restored on startup; ended ones are
+ * indexed for usage reports.
+ */
+class FileRoomStore extends MemoryRoomStore {
+  constructor(dir) {
+    super();
+    this.dir = dir;
+    this.endedIndex = new Map();      // roomId -> index entry (ended rooms)
+    this.dirtyRooms = new Set();      // snapshots to write
+    this.pendingUtterances = new Map(); // roomId -> [line]
+    this.flushTimer = null;
+    this.writes = Promise.resolve();  // flushes run one after another
+
+    fs.mkdirSync(dir, { recursive: true });
+    this.load();
+  }
+
+  roomFile(roomId, extension = "jsonl") {
+    // roomIds are generated, but never let one escape the directory
+    return path.join(this.dir, `${String(roomId).replace(/[^\w-]/g, "_")}.${extension}`);
+  }
+
+  delete(roomId) {
+    const ended = super.delete(roomId);
+    if (ended) {
+      this.endedIndex.set(roomId, toIndexEntry(this.endedRooms.get(roomId)));
+    }
+    return ended;
+  }
+
+  persistRoom(roomId) {
+    this.dirtyRooms.add(roomId);
+    this.scheduleFlush();
+  }
+
+  persistUtterance(utterance) {
+    const roomId = utterance.roomId;
+    if (!this.pendingUtterances.has(roomId)) {
+      this.pendingUtterances.set(roomId, []);
+    }
+    this.pendingUtterances.get(roomId).push(JSON.stringify({ kind: "utterance", ...utterance }) + "\n");
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => this.flush(), FLUSH_INTERVAL_MS);
+    this.flushTimer.unref();
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const rooms = Array.from(this.dirtyRooms);
+    const utterances = this.pendingUtterances;
+    this.dirtyRooms = new Set();
+    this.pendingUtterances = new Map();
+
+    // Snapshots are taken now; only the disk writes are deferred
+    const snapshots = [];
+    for (const roomId of rooms) {
+      const session = this.rooms.get(roomId);
+      const record = session ? toRecord(session) : this.endedRooms.get(roomId);
+      if (!record) continue;
+
+      snapshots.push(record);
+    }
+
+    this.writes = this.writes.then(async () => {
+      for (const [roomId, lines] of utterances.entries()) {
+        await this.write(roomId, () => fs.promises.appendFile(this.roomFile(roomId), lines.join("")));
+      }
+      for (const record of snapshots) {
+        await this.write(record.roomId, async () => {
+          const file = this.roomFile(record.roomId, "json");
+          await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(record));
+          await fs.promises.rename(`${file}.tmp`, file);
+        });
+      }
+    });
+    return this.writes;
+  }
+
+  async write(roomId, task) {
+    try {
+      await task();
+    } catch (error) {
+      log.error("Room store write error", { roomId: roomId, error: error });
+    }
+  }
+
+  /**
+   * @returns {Object|null} Latest room snapshot on disk
+   */
+  readSnapshot(roomId) {
+    try {
+      return JSON.parse(fs.readFileSync(this.roomFile(roomId, "json"), "utf8"));
+    } catch (error) {
+      // Rooms saved before snapshots had their own file: last "room" line
+      return this.readLines(roomId).record;
+    }
+  }
+
+  /**
+   * @returns {Object} { record, utterances } from a room's .jsonl file
+   */
+  readLines(roomId) {
+    const file = this.roomFile(roomId);
+    let record = null;
+    const utterances = [];
+    if (!fs.existsSync(file)) return { record, utterances };
+
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const { kind, ...entry } = JSON.parse(line);
+        if (kind === "room") record = entry;
+        else if (kind === "utterance") utterances.push(entry);
+      } catch (error) {
+        // A torn last line after a crash; skip it
+      }
+    }
+
+    return { record, utterances };
+  }
+
+  load() {
+    let restored = 0;
+
+    const roomIds = new Set();
+    for (const file of fs.readdirSync(this.dir)) {
+      const match = file.match(/^(.+)\.jsonl?$/);
+      if (match) roomIds.add(match[1]);
+    }
+
+    for (const roomId of roomIds) {
+      const record = this.readSnapshot(roomId);
+      if (!record) continue;
+
+      if (record.endedAt) {
+        this.endedIndex.set(record.roomId, toIndexEntry(record));
+        continue;
+      }
+
+      this.rooms.set(record.roomId, fromRecord(record));
+      this.utterances.set(record.roomId, this.readLines(roomId).utterances.slice(-MAX_CACHED_UTTERANCES));
+      restored++;
+    }
+
+    log.info("Room store loaded", { restored: restored, ended: this.endedIndex.size, dir: this.dir });
+  }
+
+  getRoomRecord(roomId) {
+    return super.getRoomRecord(roomId) || this.readSnapshot(roomId);
+  }
+
+  getUtterances(roomId, options = {}) {
+    if (this.rooms.has(roomId) || this.utterances.has(roomId)) {
+      return super.getUtterances(roomId, options);
+    }
+
+    // Ended and evicted from memory: read from disk
+    const since = options.since || 0;
+    return this.readLines(roomId).utterances.filter(u =>
+      u.timestamp > since &&
+      (!options.userType || u.userType === options.userType)
+    );
+  }
+
+  /**
+   * Live rooms as full records; with includeEnded, ended rooms as index
+   * entries ({ roomId, accountId, createdAt, endedAt, usage })
+   */
+  listRooms(options = {}) {
+    if (!options.includeEnded) {
+      return super.listRooms(options);
+    }
+
+    const records = new Map(this.endedIndex);
+    for (const session of this.rooms.values()) {
+      records.set(session.roomId, toRecord(session));
+    }
+
+    return Array.from(records.values()).filter(r =>
+      (!options.from || r.createdAt >= options.from) &&
+      (!options.to || r.createdAt <= options.to)
+    );
+  }
+}
+
+/**
+ * Build the store selected by ROOM_STORE ("memory" | "file")
+ */
+function createRoomStore() {
+  const kind = process.env.ROOM_STORE || "memory";
+
+  if (kind === "file") {
+    return new FileRoomStore(process.env.ROOM_STORE_DIR || path.join(__dirname, "data", "rooms"));
+  }
+  if (kind !== "memory") {
+    throw new Error(`Unknown ROOM_STORE: ${kind}`);
+  }
+  return new MemoryRoomStore();
+}
+
+module.exports = {
+  MemoryRoomStore,
+  FileRoomStore,
+  createRoomStore
+};
@@ -1,5 +1,13 @@
+// Load .env first: the logger reads its settings when it is required
+require("dotenv").config();
 
 const fs = require("fs");
+const { createLogger } = require("./logger");
+
+const log = createLogger("server");
+
+log.info("Starting Twilio Voice SDK v2 Translation Server");
+
 const GC_PATH = "/tmp/google-credentials.json";
 
 // If GOOGLE_CREDENTIALS_JSON exists in Render env,
@@ -8,47 +16,141 @@ if (process.env.GOOGLE_CREDENTIALS_JSON) {
   try {
     fs.writeFileSync(GC_PATH, process.env.GOOGLE_CREDENTIALS_JSON);
     process.env.GOOGLE_APPLICATION_CREDENTIALS = GC_PATH;
-    console.log("✅ Google credentials loaded for Render");
+    log.info("Google credentials loaded from GOOGLE_CREDENTIALS_JSON");
   } catch (err) {
-    console.error("❌ Failed writing Google credentials:", err);
+    log.error("Failed writing Google credentials", { error: err });
   }
 }
 
-console.log("🚀 Starting Twilio Voice SDK v2 Translation Server...\n");
-
-require("dotenv").config();
-
-console.log("🚀 Starting Twilio Voice SDK v2 Translation Server...\n");
-
-require("dotenv").config();
-
 const express = require("express");
 const bodyParser = require("body-parser");
 const path = require("path");
 const { v4: uuidv4 } = require("uuid");
 const WebSocket = require("ws");
 const twilio = require("twilio");
+const {
+  createSession,
+  addParticipant,
+  removeParticipant,
+  getParticipant,
+  getTokenParticipant,
+  toRoster,
+  toPublicRecord
+} = require("./room-session");
+const { validateProviderConfig, getDefaultProviderConfig } = require("./providers");
+const RoomEventHub = require("./room-events");
+const VoiceActivityDetector = require("./voice-activity-detector");
+const {
+  INVITE_ROLE,
+  createRoomToken,
+  verifyRoomToken,
+  setRoomLookup,
+  requireRoomToken,
+  requireAdminKey,
+  authenticateAccount,
+  validateTwilioSignature
+} = require("./room-auth");
+const { buildUsageReport } = require("./usage-meter");
+const metrics = require("./metrics");
+const { createRoomStore } = require("./room-store");
+const { normalizeModeration } = require("./moderation");
+const {
+  normalizeGlossary,
+  getAccountGlossary,
+  setAccountGlossary,
+  deleteAccountGlossary,
+  getRoomGlossary
+} = require("./glossary");
+const {
+  finishRecording,
+  getRecordingInfo,
+  getTrackWav,
+  streamStereoMix,
+  pruneRecordings
+} = require("./call-recorder");
+const {
+  ROOM_LIMITS,
+  rateLimit,
+  cleanupRateLimits,
+  countRoomsOwnedBy,
+  getRoomLimitExceeded,
+  isPinLockedOut,
+  recordPinFailure
+} = require("./rate-limits");
+const {
+  isDialOutEnabled,
+  normalizePhoneNumber,
+  toCallStatus,
+  isFinalCallStatus,
+  placeCall,
+  hangUpCall
+} = require("./phone-calls");
+const {
+  MAX_ATTEMPTS: IVR_MAX_ATTEMPTS,
+  MENU_LANGUAGES: IVR_LANGUAGES,
+  generateRoomPin,
+  findRoomByPin,
+  languageForDigit,
+  languageMenuTwiml,
+  pinPromptTwiml,
+  hangUpTwiml,
+  connectingResponse
+} = require("./phone-ivr");
+const {
+  RECONNECT_GRACE_MS,
+  deriveRoomState,
+  transitionRoom
+} = require("./room-lifecycle");
+
+const routesLog = createLogger("routes");
+const roomsLog = createLogger("rooms");
 
 const app = express();
 
+// Behind a load balancer, set TRUST_PROXY (e.g. 1) so req.ip is the client
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 app.use((req, res, next) => {
   res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Account-Key");
 
   if (req.method === "OPTIONS") return res.sendStatus(200);
 
   next();
 });
 
+app.use(rateLimit);
+
 // =====================================
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
 
 
-// Active sessions storage
-const activeSessions = new Map();
+// Active sessions storage (Map-compatible store, see room-store.js)
+const activeSessions = createRoomStore();
+setRoomLookup(roomId => activeSessions.get(roomId));
+
+// How long ended rooms stay queryable in memory
+const ROOM_HISTORY_RETENTION_MS = parseInt(process.env.ROOM_HISTORY_RETENTION_MS) || 600000;
+
+// Recordings are deleted this long after the call ends
+const RECORDING_RETENTION_MS = (parseFloat(process.env.RECORDING_RETENTION_HOURS) || 72) * 3600000;
+
+// Push channel for room events (/room-events WebSocket). A subscriber
+// listens only while its token's participant is in the room.
+const roomEvents = new RoomEventHub({
+  authorize: subscriber => {
+    const session = activeSessions.get(subscriber.roomId);
+    return !session || !!getTokenParticipant(session, { role: subscriber.userType, identity: subscriber.identity });
+  }
+});
+
+// Export for use in processor
+global.publishRoomEvent = (roomId, type, data, to) => roomEvents.publish(roomId, type, data, to);
 
 // =====================================
 // ENVIRONMENT VALIDATION
@@ -61,24 +163,18 @@ const requiredEnvVars = [
   "TWILIO_APP_SID"
 ];
 
-console.log("📋 Validating environment variables:");
-let hasError = false;
-for (const envVar of requiredEnvVars) {
-  if (!process.env[envVar]) {
-    console.error(`❌ ${envVar} is NOT set`);
-    hasError = true;
-  } else {
-    console.log(`✅ ${envVar}`);
-  }
+const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
+if (missingEnvVars.length > 0) {
+  log.error("Missing required environment variables, check your .env file", { missing: missingEnvVars });
+  process.exit(1);
 }
 
-if (hasError) {
-  console.error("\n❌ Missing required environment variables!");
-  console.error("Please check your .env file");
+const providerConfigError = validateProviderConfig(getDefaultProviderConfig());
+if (providerConfigError) {
+  log.error("Invalid provider configuration", { reason: providerConfigError });
   process.exit(1);
 }
-
-console.log("\n✅ All environment variables validated\n");
+log.info("Providers configured", { providers: getDefaultProviderConfig() });
 
 // =====================================
 // ROUTES
@@ -91,10 +187,31 @@ app.get("/health", (req, res) => {
     version: "2.0.0",
     sdk: "Twilio Voice SDK v2",
     timestamp: new Date().toISOString(),
-    activeRooms: activeSessions.size
+    activeRooms: activeSessions.size,
+    providers: getDefaultProviderConfig()
   });
 });
 
+// Prometheus scrape endpoint
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4");
+  res.send(metrics.renderMetrics());
+});
+
+metrics.gauge("translator_active_rooms", "Rooms currently open", [], () => activeSessions.size);
+metrics.gauge("translator_media_streams_open", "Open Twilio media-stream connections", [], () => wss.clients.size);
+metrics.gauge("translator_outbound_queue_depth", "Translated clips queued or playing, all legs", [], () => {
+  let depth = 0;
+  for (const session of activeSessions.values()) {
+    for (const participant of session.participants) {
+      if (participant.connection && participant.connection.playback) {
+        depth += participant.connection.playback.getStatus().depth;
+      }
+    }
+  }
+  return depth;
+});
+
 // Serve main page
 app.get("/", (req, res) => {
   res.json({ message: "Twilio Backend Running" });
@@ -108,9 +225,10 @@ app.get("/join", (req, res) => {
 // =====================================
 // VOICE TOKEN (SDK v2 Compatible)
 // =====================================
-app.get("/voice-token", (req, res) => {
+// Only participants holding a room token get a Twilio token
+app.get("/voice-token", requireRoomToken(), (req, res) => {
   try {
-    const identity = "user_" + uuidv4();
+    const identity = req.roomToken.identity || "user_" + uuidv4();
 
     // Use Twilio's AccessToken class (SDK v2 compatible)
     const AccessToken = twilio.jwt.AccessToken;
@@ -139,7 +257,7 @@ app.get("/voice-token", (req, res) => {
     // Generate JWT
     const token = accessToken.toJwt();
 
-    console.log("✅ Token generated:", identity);
+    routesLog.info("Voice token generated", { roomId: req.roomToken.roomId, identity: identity });
 
     res.json({ 
       token: token,
@@ -147,7 +265,7 @@ app.get("/voice-token", (req, res) => {
     });
 
   } catch (error) {
-    console.error("❌ Token generation error:", error.message);
+    routesLog.error("Voice token generation failed", { error: error });
     res.status(500).json({ 
       error: "Failed to generate token",
       message: error.message 
@@ -159,194 +277,566 @@ app.get("/voice-token", (req, res) => {
 // ROOM MANAGEMENT
 // =====================================
 
+// "auto" (or nothing) means detect the spoken language
+function requestedLanguage(language) {
+  return language && language !== "auto" ? language : null;
+}
+
 // Create room
 app.post("/create-room", async (req, res) => {
   try {
-    const { creatorLanguage, creatorName } = req.body;
+    const {
+      creatorLanguage,
+      creatorName,
+      maxParticipants,
+      providers,
+      vad,
+      record,
+      voiceMatching,
+      bargeIn,
+      glossary,
+      detectLanguage,
+      languageCandidates,
+      moderation,
+      minConfidence
+    } = req.body;
+
+    const providerError = validateProviderConfig(providers);
+    if (providerError) {
+      return res.status(400).json({ error: providerError });
+    }
+
+    if (bargeIn && !["always", "never", "after"].includes(bargeIn.policy)) {
+      return res.status(400).json({ error: "bargeIn.policy must be always, never or after" });
+    }
+
+    if (languageCandidates && (!Array.isArray(languageCandidates) ||
+        languageCandidates.some(language => typeof language !== "string"))) {
+      return res.status(400).json({ error: "languageCandidates must be a list of language codes" });
+    }
+
+    const glossaryResult = glossary ? normalizeGlossary(glossary) : {};
+    if (glossaryResult.error) {
+      return res.status(400).json({ error: glossaryResult.error });
+    }
+
+    if (minConfidence !== undefined && (typeof minConfidence !== "number" || minConfidence < 0 || minConfidence > 1)) {
+      return res.status(400).json({ error: "minConfidence must be a number from 0 to 1" });
+    }
+
+    const moderationResult = moderation ? normalizeModeration(moderation) : {};
+    if (moderationResult.error) {
+      return res.status(400).json({ error: moderationResult.error });
+    }
+
+    // Rooms belong to an account only with its key (X-Account-Key)
+    const account = authenticateAccount(req);
+    if (account.error) {
+      return res.status(account.status).json({ error: account.error });
+    }
+    const accountId = account.accountId;
+
+    // Concurrent rooms are counted per account, or per IP without one
+    const owner = accountId ? `account:${accountId}` : `ip:${req.ip}`;
+    if (countRoomsOwnedBy(activeSessions, owner) >= ROOM_LIMITS.maxRoomsPerIdentity) {
+      return res.status(429).json({
+        error: `Too many active rooms (${ROOM_LIMITS.maxRoomsPerIdentity} max)`
+      });
+    }
 
     const roomId = uuidv4().substring(0, 8);
+    const identity = "user_" + uuidv4();
 
-    activeSessions.set(roomId, {
-      creatorLanguage: creatorLanguage,
-      participantLanguage: null,
-      creatorConnection: null,
-      participantConnection: null,
-      createdAt: Date.now(),
-      creatorName: creatorName,
+    const session = createSession(
+      roomId,
+      { language: requestedLanguage(creatorLanguage), name: creatorName, identity: identity },
+      parseInt(maxParticipants) || undefined
+    );
+    session.providers = providers || null;
+    // Optional VAD tuning, e.g. { hangoverMs: 700 } for slow speakers
+    session.vad = VoiceActivityDetector.normalizeOptions(vad);
+    session.recording = record === undefined ? process.env.RECORD_CALLS === "true" : !!record;
+    // Per-room switch for speaker-matched synthesis voices
+    session.voiceMatching = voiceMatching !== false;
+    // e.g. { policy: "after", minSpeechMs: 500 }
+    session.bargeIn = bargeIn
+      ? { policy: bargeIn.policy, minSpeechMs: parseInt(bargeIn.minSpeechMs) || undefined }
+      : null;
+    // Account-wide glossary applies under the room's own
+    session.accountId = accountId || null;
+    session.owner = owner;
+    session.glossary = glossaryResult.glossary || null;
+    // e.g. { mode: "bleep", lists: { en: { words: [...] } } }; unset
+    // follows MODERATION_MODE
+    session.moderation = moderationResult.moderation || null;
+    // Below this recognition confidence the speaker is asked to repeat
+    session.minConfidence = typeof minConfidence === "number" ? minConfidence : null;
+    // Spoken-language detection: true = always, false = never,
+    // unset = only for legs that don't give a language
+    session.languageDetection = typeof detectLanguage === "boolean" ? detectLanguage : null;
+    session.languageCandidates = languageCandidates || null;
+    // Phone callers join with this PIN through the IVR
+    session.pin = generateRoomPin(activeSessions);
 
-    });
+    activeSessions.set(roomId, session);
+
+    const token = createRoomToken({ roomId: roomId, role: "caller", identity: identity });
+    const inviteToken = createRoomToken({ roomId: roomId, role: INVITE_ROLE });
 
-    // Build join URL
+    // Build join URL (carries the invite, which /join-room exchanges)
     const protocol = req.get("x-forwarded-proto") || req.protocol || "https";
     const host = req.get("host");
-    const joinUrl = `${protocol}://${host}/join?room=${roomId}`;
+    const joinUrl = `${protocol}://${host}/join?room=${roomId}&token=${inviteToken}`;
 
-    console.log("✅ Room created:", roomId);
-    console.log("   Language:", creatorLanguage);
-    console.log("   Join URL:", joinUrl);
+    roomsLog.info("Room created", { roomId: roomId, language: creatorLanguage || "auto" });
 
     res.json({ 
       roomId: roomId,
-      joinUrl: joinUrl 
+      joinUrl: joinUrl,
+      userType: "caller",
+      identity: identity,
+      token: token,
+      inviteToken: inviteToken,
+      pin: session.pin,
+      dialInNumber: process.env.TWILIO_PHONE_NUMBER || null
     });
 
   } catch (error) {
-    console.error("❌ Room creation error:", error.message);
+    roomsLog.error("Room creation failed", { error: error });
     res.status(500).json({ error: "Failed to create room" });
   }
 });
 
 // Join room
-app.post("/join-room", (req, res) => {
+// Requires the invite token from the join link
+app.post("/join-room", requireRoomToken({ allowInvite: true }), (req, res) => {
   try {
-    const { roomId, participantLanguage, participantName } = req.body;
+    const { participantLanguage, participantName } = req.body;
+    const roomId = req.roomToken.roomId;
+
+    if (req.roomToken.role !== INVITE_ROLE) {
+      return res.status(403).json({ error: "An invite token is required to join" });
+    }
 
     const session = activeSessions.get(roomId);
-    
-    session.participantName = participantName;
 
     if (!session) {
-      console.error("❌ Room not found:", roomId);
+      roomsLog.warn("Join for unknown room", { roomId: roomId });
       return res.status(404).json({ error: "Room not found" });
     }
 
-    if (session.participantLanguage) {
-      console.error("❌ Room full:", roomId);
-      return res.status(400).json({ error: "Room is full (2 participants max)" });
+    const participant = addParticipant(session, {
+      language: requestedLanguage(participantLanguage),
+      name: participantName
+    });
+
+    if (!participant) {
+      roomsLog.warn("Join rejected, room full", { roomId: roomId });
+      return res.status(400).json({
+        error: `Room is full (${session.maxParticipants} participants max)`
+      });
     }
 
-    session.participantLanguage = participantLanguage;
     activeSessions.set(roomId, session);
 
-    console.log("✅ User joined room:", roomId);
-    console.log("   Language:", participantLanguage);
+    roomEvents.publish(roomId, "participant-joined", {
+      userType: participant.userType,
+      name: participant.name,
+      language: participant.language,
+      participants: toRoster(session)
+    });
+
+    roomsLog.info("Participant joined", {
+      roomId: roomId,
+      userType: participant.userType,
+      language: participant.language || "auto"
+    });
+
+    const creator = getParticipant(session, "caller");
 
     res.json({ 
       success: true,
-      creatorLanguage: session.creatorLanguage 
+      userType: participant.userType,
+      identity: participant.identity,
+      token: createRoomToken({ roomId: roomId, role: participant.userType, identity: participant.identity }),
+      creatorLanguage: creator ? creator.language : null,
+      participants: toRoster(session)
     });
 
   } catch (error) {
-    console.error("❌ Join room error:", error.message);
+    roomsLog.error("Join room failed", { error: error });
     res.status(500).json({ error: "Failed to join room" });
   }
 });
 
-
-// Leave room
-// --- Leave room endpoint (replace existing /leave-room) ---
-app.post("/leave-room", (req, res) => {
+// Send a control message to a participant's media leg, if it is open
+function notifyConnection(connection, payload) {
   try {
-    const { roomId, userType } = req.body;
+    if (connection && connection.ws && connection.ws.readyState === 1) {
+      connection.ws.send(JSON.stringify(payload));
+    }
+  } catch (err) {
+    roomsLog.warn("Could not notify participant", { error: err });
+  }
+}
 
-    const session = activeSessions.get(roomId);
-    if (!session) {
-      // If room not found, behave idempotently
-      return res.json({ success: true });
+// Remove a participant from its room. Remaining legs are told who left;
+// once fewer than two people are left the room is closed for everyone.
+function handleParticipantExit(roomId, userType, reason) {
+  const session = activeSessions.get(roomId);
+  if (!session) return;
+
+  removeParticipant(session, userType);
+  clearReconnectTimer(roomId, userType);
+  roomEvents.revalidate(roomId);
+
+  if (session.participants.length >= 2) {
+    for (const participant of session.participants) {
+      notifyConnection(participant.connection, {
+        event: "participant-left",
+        userType: userType,
+        participants: toRoster(session)
+      });
     }
+    roomEvents.publish(roomId, "participant-left", {
+      userType: userType,
+      participants: toRoster(session)
+    });
+    activeSessions.set(roomId, session);
+    roomsLog.info("Participant left", { roomId: roomId, userType: userType, remaining: session.participants.length });
+    updateRoomState(roomId, session, `${userType} left`);
+    return;
+  }
+
+  closeRoom(roomId, reason, { leftBy: userType });
+}
+
+// Move the room to the state its roster implies and tell subscribers
+function updateRoomState(roomId, session, reason) {
+  const change = transitionRoom(session, deriveRoomState(session));
+  if (!change) return;
+
+  activeSessions.set(roomId, session);
+  roomEvents.publish(roomId, "room-state", {
+    state: change.to,
+    previousState: change.from,
+    reason: reason,
+    participants: toRoster(session)
+  });
+  roomsLog.info("Room state changed", { roomId: roomId, from: change.from, to: change.to, reason: reason });
+}
+
+// Grace timers for dropped legs ("roomId:userType" -> timeout)
+const reconnectTimers = new Map();
+
+function clearReconnectTimer(roomId, userType) {
+  const key = `${roomId}:${userType}`;
+  clearTimeout(reconnectTimers.get(key));
+  reconnectTimers.delete(key);
+}
+
+// A media leg closed without leaving the room. It keeps its place for
+// the grace window; only then are the others told and the room ended.
+function handleLegDropped(roomId, userType) {
+  const session = activeSessions.get(roomId);
+  const participant = session ? getParticipant(session, userType) : null;
 
-    console.log(`🚪 User leaving room ${roomId}: ${userType}`);
+  // Already left, or already back on a newer stream
+  if (!participant || participant.connection) return;
 
-    // If we have an associated processor objects stored (creatorConnection/participantConnection)
-    // they should have a .ws reference to the websocket to send force-disconnect.
-    let otherSide = null;
-    if (userType === "caller") {
-      otherSide = session.participantConnection;
-    } else {
-      otherSide = session.creatorConnection;
+  participant.reconnectDeadline = Date.now() + RECONNECT_GRACE_MS;
+  activeSessions.set(roomId, session);
+  updateRoomState(roomId, session, `${userType} disconnected`);
+
+  clearReconnectTimer(roomId, userType);
+  reconnectTimers.set(`${roomId}:${userType}`, setTimeout(() => {
+    reconnectTimers.delete(`${roomId}:${userType}`);
+
+    const current = activeSessions.get(roomId);
+    const dropped = current ? getParticipant(current, userType) : null;
+    if (!dropped || dropped.connection) return;
+
+    roomsLog.info("Reconnect grace expired", { roomId: roomId, userType: userType });
+    delete dropped.reconnectDeadline;
+    handleParticipantExit(roomId, userType, "Other participant disconnected");
+  }, RECONNECT_GRACE_MS));
+}
+
+// Called by the processor once a leg's media stream is registered
+global.onLegConnected = (roomId, userType) => {
+  const session = activeSessions.get(roomId);
+  const participant = session ? getParticipant(session, userType) : null;
+  if (!participant) return;
+
+  const reconnected = !!participant.reconnectDeadline;
+  clearReconnectTimer(roomId, userType);
+  delete participant.reconnectDeadline;
+  participant.connectedAt = participant.connectedAt || Date.now();
+
+  if (reconnected) {
+    roomsLog.info("Participant reconnected", { roomId: roomId, userType: userType });
+  }
+  updateRoomState(roomId, session, `${userType} ${reconnected ? "reconnected" : "connected"}`);
+};
+
+// Close a room for everyone still in it. With hangUp, their media
+// streams are closed too, which ends phone legs.
+function closeRoom(roomId, reason, options = {}) {
+  const session = activeSessions.get(roomId);
+  if (!session) return;
+
+  for (const participant of session.participants) {
+    notifyConnection(participant.connection, {
+      event: "force-disconnect",
+      reason: reason
+    });
+    roomEvents.publish(roomId, "force-disconnect", { reason: reason }, participant.userType);
+  }
+  for (const participant of session.participants) {
+    clearReconnectTimer(roomId, participant.userType);
+  }
+
+  const change = transitionRoom(session, "ended");
+  if (change) {
+    roomEvents.publish(roomId, "room-state", { state: "ended", previousState: change.from, reason: reason });
+  }
+  roomEvents.publish(roomId, "room-closed", { reason: reason, leftBy: options.leftBy || null });
+
+  // Delete the room to make join/rejoin safe (frontend will detect 404)
+  activeSessions.delete(roomId);
+  finishRecording(roomId);
+  roomsLog.info("Room closed", { roomId: roomId, reason: reason });
+
+  // Dialed calls still ringing have no media stream to close
+  for (const participant of session.participants) {
+    if (participant.callSid && !participant.connection && !isFinalCallStatus(participant.callStatus)) {
+      hangUpCall(participant.callSid, participant.callStatus);
     }
+  }
 
-    // If other side present and its websocket is open, instruct it to disconnect
-    try {
-      if (otherSide && otherSide.ws && otherSide.ws.readyState === 1) {
-        otherSide.ws.send(JSON.stringify({
-          event: "force-disconnect",
-          reason: "Other participant left the room"
-        }));
+  if (options.hangUp) {
+    for (const participant of session.participants) {
+      if (participant.connection && participant.connection.ws) {
+        participant.connection.ws.close();
       }
-    } catch (err) {
-      console.warn("Could not send force-disconnect to other side:", err?.message || err);
     }
+  }
+}
 
-    // Immediately delete the room to make join/rejoin safe (frontend will detect 404)
-    activeSessions.delete(roomId);
-    console.log("🧹 Room deleted on leave:", roomId);
+// Used by the processor when a room runs out of audio budget
+global.endRoom = (roomId, reason) => closeRoom(roomId, reason, { hangUp: true });
+
+// Rooms restored by the store after a restart have no legs connected.
+// With a random token secret nobody can rejoin them, so they are closed;
+// otherwise legs that were connected get the usual grace window.
+function resumeRestoredRooms() {
+  for (const [roomId, session] of activeSessions.entries()) {
+    if (!process.env.ROOM_TOKEN_SECRET) {
+      closeRoom(roomId, "Server restarted");
+      continue;
+    }
+    for (const participant of session.participants) {
+      if (participant.connectedAt) {
+        handleLegDropped(roomId, participant.userType);
+      }
+    }
+  }
+}
+
+resumeRestoredRooms();
+
+// Leave room
+app.post("/leave-room", requireRoomToken(), (req, res) => {
+  try {
+    const roomId = req.roomToken.roomId;
+    const userType = req.roomToken.role;
+
+    if (req.body.userType && req.body.userType !== userType) {
+      return res.status(403).json({ error: "Token does not belong to this participant" });
+    }
+
+    if (!activeSessions.has(roomId)) {
+      // If room not found, behave idempotently
+      return res.json({ success: true });
+    }
+
+    roomsLog.info("Participant leaving", { roomId: roomId, userType: userType });
+
+    handleParticipantExit(roomId, userType, "Other participant left the room");
 
     return res.json({ success: true });
   } catch (error) {
-    console.error("❌ Leave-room error:", error);
+    roomsLog.error("Leave room failed", { error: error });
     return res.status(500).json({ error: "Failed to leave room" });
   }
 });
 
 
 // Get room info (languages + status)
-app.get("/room-info", (req, res) => {
-  const roomId = req.query.roomId;
+// Open to invitees too: the join page shows who is in the room
+app.get("/room-info", requireRoomToken({ allowInvite: true }), (req, res) => {
+  const roomId = req.roomToken.roomId;
   const session = activeSessions.get(roomId);
 
   if (!session) {
     return res.status(404).json({ error: "Room not found" });
   }
 
+  const caller = getParticipant(session, "caller");
+  const receiver = getParticipant(session, "receiver");
+
   res.json({
-  creatorLanguage: session.creatorLanguage,
-  participantLanguage: session.participantLanguage,
-  callerName: session.creatorName || "Caller",
-  receiverName: session.participantName || "Receiver"
+    creatorLanguage: caller ? caller.language : null,
+    participantLanguage: receiver ? receiver.language : null,
+    callerName: (caller && caller.name) || "Caller",
+    receiverName: (receiver && receiver.name) || "Receiver",
+    maxParticipants: session.maxParticipants,
+    state: session.state,
+    pin: session.pin || null,
+    dialInNumber: process.env.TWILIO_PHONE_NUMBER || null,
+    participants: toRoster(session)
+  });
+
 });
 
+// =====================================
+// GLOSSARIES
+// =====================================
+
+// Room glossary: its own terms plus the effective (account + room) set
+app.get("/glossary/:roomId", requireRoomToken(), (req, res) => {
+  const session = activeSessions.get(req.params.roomId);
+  if (!session) {
+    return res.status(404).json({ error: "Room not found" });
+  }
+
+  res.json({
+    roomId: session.roomId,
+    accountId: session.accountId || null,
+    glossary: session.glossary || null,
+    effective: getRoomGlossary(session)
+  });
+});
+
+// Replace a room's glossary; takes effect on the next utterance
+app.put("/glossary/:roomId", requireRoomToken(), (req, res) => {
+  const session = activeSessions.get(req.params.roomId);
+  if (!session) {
+    return res.status(404).json({ error: "Room not found" });
+  }
+
+  const { glossary, error } = normalizeGlossary(req.body);
+  if (error) {
+    return res.status(400).json({ error: error });
+  }
+
+  session.glossary = glossary;
+  activeSessions.set(session.roomId, session);
+  routesLog.info("Room glossary updated", { roomId: session.roomId });
+
+  res.json({ roomId: session.roomId, glossary: glossary });
+});
+
+app.delete("/glossary/:roomId", requireRoomToken(), (req, res) => {
+  const session = activeSessions.get(req.params.roomId);
+  if (!session) {
+    return res.status(404).json({ error: "Room not found" });
+  }
+
+  session.glossary = null;
+  activeSessions.set(session.roomId, session);
+  res.json({ success: true });
+});
+
+// Account glossaries apply to every room created with that accountId
+// (admin only: Authorization: Bearer <ADMIN_API_KEY>)
+app.get("/glossary/accounts/:accountId", requireAdminKey, (req, res) => {
+  const glossary = getAccountGlossary(req.params.accountId);
+  if (!glossary) {
+    return res.status(404).json({ error: "No glossary for this account" });
+  }
+  res.json({ accountId: req.params.accountId, glossary: glossary });
+});
+
+app.put("/glossary/accounts/:accountId", requireAdminKey, (req, res) => {
+  const { glossary, error } = normalizeGlossary(req.body);
+  if (error) {
+    return res.status(400).json({ error: error });
+  }
+
+  setAccountGlossary(req.params.accountId, glossary);
+  routesLog.info("Account glossary updated", { accountId: req.params.accountId });
+
+  res.json({ accountId: req.params.accountId, glossary: glossary });
+});
+
+app.delete("/glossary/accounts/:accountId", requireAdminKey, (req, res) => {
+  res.json({ success: deleteAccountGlossary(req.params.accountId) });
 });
 
 // =====================================
 // TWIML ENDPOINT (SDK v2 Compatible)
 // =====================================
-app.post("/twiml/voice", (req, res) => {
-  try {
-    console.log("\n📞 TwiML endpoint called");
-    console.log("   Body:", req.body);
 
+// TwiML that connects the call to /media-stream for a room participant,
+// appended to response if one is given
+function mediaStreamTwiml(req, params, response = new twilio.twiml.VoiceResponse()) {
+  // WebSocket URL
+  const wsUrl = process.env.PUBLIC_WS_URL || `wss://${req.get("host")}/media-stream`;
+
+  // Connect to media stream immediately (no voice prompt)
+  const connect = response.connect();
+  const stream = connect.stream({ url: wsUrl });
+
+  // Add parameters - These will be available in WebSocket 'start' event
+  stream.parameter({ name: "roomId", value: params.roomId });
+  stream.parameter({ name: "userType", value: params.userType });
+  stream.parameter({ name: "myLanguage", value: params.myLanguage || "auto" });
+  stream.parameter({ name: "token", value: params.token });
+
+  return response.toString();
+}
+
+app.post("/twiml/voice", validateTwilioSignature, (req, res) => {
+  try {
     // Extract parameters from the request body
     const roomId = req.body.roomId || "unknown";
     const userType = req.body.userType || "unknown";
     const myLanguage = req.body.myLanguage;
+    const token = req.body.token;
 
-    console.log("   Room:", roomId);
-    console.log("   User:", userType);
-    console.log("   Language:", myLanguage);
-
-    // Validate required parameters
-    if (!myLanguage) {
-      console.error("❌ ERROR: myLanguage parameter is missing!");
-      console.error("   This will cause transcription to fail!");
+    // The Voice SDK client passes its room token as a connect parameter;
+    // participants who left or were removed are turned away
+    const claims = verifyRoomToken(token);
+    const session = activeSessions.get(roomId);
+    if (!claims || claims.roomId !== roomId || claims.role !== userType ||
+        !session || !getTokenParticipant(session, claims)) {
+      routesLog.warn("TwiML request without a valid room token", { roomId: roomId, userType: userType, callSid: req.body.CallSid });
+      const rejected = new twilio.twiml.VoiceResponse();
+      rejected.say("This call is not authorized.");
+      rejected.hangup();
+      res.type("text/xml");
+      return res.send(rejected.toString());
     }
 
-    // WebSocket URL
-    const wsUrl = process.env.PUBLIC_WS_URL || `wss://${req.get("host")}/media-stream`;
-    console.log("   WS URL:", wsUrl);
-
-    // Generate TwiML using Twilio helper library
-    const VoiceResponse = twilio.twiml.VoiceResponse;
-    const response = new VoiceResponse();
-
-    // Connect to media stream immediately (no voice prompt)
-    const connect = response.connect();
-    const stream = connect.stream({ url: wsUrl });
-
-    // Add parameters - These will be available in WebSocket 'start' event
-    stream.parameter({ name: "roomId", value: roomId });
-    stream.parameter({ name: "userType", value: userType });
-    stream.parameter({ name: "myLanguage", value: myLanguage });
-
-    const twimlString = response.toString();
-    console.log("   TwiML generated successfully");
-    console.log("   Parameters sent to stream:", { roomId, userType, myLanguage });
+    const twimlString = mediaStreamTwiml(req, {
+      roomId: roomId,
+      userType: userType,
+      myLanguage: myLanguage,
+      token: token
+    });
+    routesLog.info("TwiML generated", {
+      roomId: roomId,
+      userType: userType,
+      callSid: req.body.CallSid,
+      language: myLanguage || "auto"
+    });
 
     res.type("text/xml");
     res.send(twimlString);
 
   } catch (error) {
-    console.error("❌ TwiML error:", error.message);
+    routesLog.error("TwiML generation failed", { error: error });
 
     // Fallback TwiML
     const VoiceResponse = twilio.twiml.VoiceResponse;
@@ -359,85 +849,690 @@ app.post("/twiml/voice", (req, res) => {
 });
 
 // =====================================
-// TRANSLATION ENDPOINT
+// DIAL-OUT (phone participants)
+// =====================================
+
+// Base URL Twilio calls back on (set PUBLIC_BASE_URL behind a proxy)
+function publicBaseUrl(req) {
+  const baseUrl = process.env.PUBLIC_BASE_URL ||
+    `${req.get("x-forwarded-proto") || req.protocol}://${req.get("host")}`;
+  return baseUrl.replace(/\/$/, "");
+}
+
+// Tell the room how a dialed leg's call is progressing
+function publishCallStatus(roomId, session, participant) {
+  roomEvents.publish(roomId, "call-status", {
+    userType: participant.userType,
+    callStatus: participant.callStatus,
+    participants: toRoster(session)
+  });
+}
+
+// Call a phone number; once answered it joins the room's media stream
+app.post("/dial-out", requireRoomToken(), async (req, res) => {
+  try {
+    const roomId = req.roomToken.roomId;
+    const { phoneNumber, language, name } = req.body;
+
+    if (!isDialOutEnabled()) {
+      return res.status(503).json({ error: "Dial-out is disabled (TWILIO_PHONE_NUMBER not set)" });
+    }
+
+    const to = normalizePhoneNumber(phoneNumber);
+    if (!to) {
+      return res.status(400).json({ error: "phoneNumber must be an E.164 number, e.g. +14155550100" });
+    }
+
+    const session = activeSessions.get(roomId);
+    if (!session) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    const participant = addParticipant(session, {
+      language: requestedLanguage(language),
+      name: name
+    });
+
+    if (!participant) {
+      return res.status(400).json({
+        error: `Room is full (${session.maxParticipants} participants max)`
+      });
+    }
+
+    participant.phoneNumber = to;
+    participant.callStatus = "dialing";
+    activeSessions.set(roomId, session);
+
+    const baseUrl = publicBaseUrl(req);
+    const query = `roomId=${encodeURIComponent(roomId)}&userType=${encodeURIComponent(participant.userType)}`;
+
+    try {
+      participant.callSid = await placeCall({
+        to: to,
+        answerUrl: `${baseUrl}/twiml/dial-out?${query}`,
+        statusCallbackUrl: `${baseUrl}/twiml/call-status?${query}`
+      });
+    } catch (error) {
+      removeParticipant(session, participant.userType);
+      if (activeSessions.has(roomId)) {
+        activeSessions.set(roomId, session);
+      }
+      roomsLog.error("Dial-out failed", { roomId: roomId, userType: participant.userType, error: error });
+      return res.status(502).json({ error: "Could not place the call", message: error.message });
+    }
+
+    // The room closed while the call was being placed
+    if (!activeSessions.has(roomId)) {
+      hangUpCall(participant.callSid, participant.callStatus);
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    activeSessions.set(roomId, session);
+    publishCallStatus(roomId, session, participant);
+
+    roomsLog.info("Dialing out", {
+      roomId: roomId,
+      userType: participant.userType,
+      callSid: participant.callSid,
+      language: participant.language || "auto"
+    });
+
+    res.json({
+      success: true,
+      userType: participant.userType,
+      callSid: participant.callSid,
+      callStatus: participant.callStatus,
+      participants: toRoster(session)
+    });
+
+  } catch (error) {
+    roomsLog.error("Dial-out error", { error: error });
+    res.status(500).json({ error: "Failed to dial out" });
+  }
+});
+
+// Answer URL for dialed calls: connect to the room's media stream
+app.post("/twiml/dial-out", validateTwilioSignature, (req, res) => {
+  const { roomId, userType } = req.query;
+  const session = activeSessions.get(roomId);
+  const participant = session ? getParticipant(session, userType) : null;
+
+  res.type("text/xml");
+
+  if (!participant || participant.callSid !== req.body.CallSid) {
+    routesLog.warn("Dialed call answered for a leg that is gone", { roomId: roomId, userType: userType, callSid: req.body.CallSid });
+    const response = new twilio.twiml.VoiceResponse();
+    response.say("This call has ended.");
+    response.hangup();
+    return res.send(response.toString());
+  }
+
+  res.send(mediaStreamTwiml(req, {
+    roomId: roomId,
+    userType: userType,
+    myLanguage: participant.language,
+    token: createRoomToken({ roomId: roomId, role: userType, identity: participant.identity })
+  }));
+});
+
+// Call-progress callbacks for dialed calls
+app.post("/twiml/call-status", validateTwilioSignature, (req, res) => {
+  const { roomId, userType } = req.query;
+  const session = activeSessions.get(roomId);
+  const participant = session ? getParticipant(session, userType) : null;
+  const callStatus = toCallStatus(req.body.CallStatus);
+
+  // Late callbacks for a leg that already left are ignored
+  if (!participant || participant.callSid !== req.body.CallSid || !callStatus) {
+    return res.sendStatus(204);
+  }
+
+  participant.callStatus = callStatus;
+  if (callStatus === "answered") {
+    participant.answeredAt = participant.answeredAt || Date.now();
+  }
+
+  // Ended before it was answered (busy, no answer, ...): free the slot,
+  // keep the room so another number can be dialed. An answered call
+  // that ended is someone hanging up: they leave like anyone else (its
+  // stream may have stopped before this callback arrives).
+  const ended = isFinalCallStatus(callStatus);
+  const neverConnected = ended && !participant.answeredAt && !participant.connectedAt;
+  if (neverConnected) {
+    removeParticipant(session, userType);
+  }
+
+  activeSessions.set(roomId, session);
+  publishCallStatus(roomId, session, participant);
+  roomsLog.info("Call status", { roomId: roomId, userType: userType, callSid: participant.callSid, callStatus: callStatus });
+
+  if (neverConnected) {
+    updateRoomState(roomId, session, `${userType} call ${callStatus}`);
+  } else if (ended) {
+    handleParticipantExit(roomId, userType, "Other participant hung up");
+  }
+
+  res.sendStatus(204);
+});
+
 // =====================================
+// PHONE IVR (inbound calls)
+// Point the Twilio number's voice webhook at POST /twiml/inbound
+// =====================================
+
+// Language menu
+app.post("/twiml/inbound", validateTwilioSignature, (req, res) => {
+  routesLog.info("Inbound call", { callSid: req.body.CallSid });
+  res.type("text/xml");
+  res.send(languageMenuTwiml("/twiml/inbound/language?attempt=1"));
+});
+
+// Menu choice, then ask for the PIN in that language
+app.post("/twiml/inbound/language", validateTwilioSignature, (req, res) => {
+  const attempt = parseInt(req.query.attempt) || 1;
+  const language = languageForDigit(req.body.Digits);
+
+  res.type("text/xml");
 
-// Store recent translations for each room
-const recentTranslations = new Map();
+  if (!language) {
+    return res.send(attempt >= IVR_MAX_ATTEMPTS
+      ? hangUpTwiml("en")
+      : languageMenuTwiml(`/twiml/inbound/language?attempt=${attempt + 1}`));
+  }
+
+  res.send(pinPromptTwiml(language, `/twiml/inbound/pin?language=${language}&attempt=1`));
+});
+
+// PIN entered: join the room and connect the media stream
+app.post("/twiml/inbound/pin", validateTwilioSignature, (req, res) => {
+  const attempt = parseInt(req.query.attempt) || 1;
+  const language = IVR_LANGUAGES.includes(req.query.language) ? req.query.language : "en";
+  // Attempts are per call; hanging up and calling again doesn't reset these
+  const caller = req.body.From || req.body.CallSid;
+
+  res.type("text/xml");
+
+  if (isPinLockedOut(caller)) {
+    routesLog.warn("Inbound caller locked out after wrong PINs", { callSid: req.body.CallSid });
+    return res.send(hangUpTwiml(language, "tooManyPins"));
+  }
+
+  const session = findRoomByPin(activeSessions, req.body.Digits);
+
+  if (!session) {
+    routesLog.info("Inbound call entered an unknown PIN", { callSid: req.body.CallSid, attempt: attempt });
+    if (req.body.Digits) {
+      recordPinFailure(caller);
+    }
+    if (isPinLockedOut(caller)) {
+      return res.send(hangUpTwiml(language, "tooManyPins"));
+    }
+    if (attempt >= IVR_MAX_ATTEMPTS) {
+      return res.send(hangUpTwiml(language, "invalidPin"));
+    }
+    const retryUrl = `/twiml/inbound/pin?language=${language}&attempt=${attempt + 1}`;
+    return res.send(pinPromptTwiml(language, retryUrl, req.body.Digits ? "invalidPin" : undefined));
+  }
+
+  const roomId = session.roomId;
+  if (getRoomLimitExceeded(session)) {
+    return res.send(hangUpTwiml(language, "roomClosed"));
+  }
+
+  const participant = addParticipant(session, { language: language });
+
+  if (!participant) {
+    return res.send(hangUpTwiml(language, "roomFull"));
+  }
+
+  participant.phoneNumber = req.body.From || null;
+  participant.callSid = req.body.CallSid;
+  participant.callStatus = "answered";
+  activeSessions.set(roomId, session);
+
+  roomEvents.publish(roomId, "participant-joined", {
+    userType: participant.userType,
+    name: participant.name,
+    language: participant.language,
+    participants: toRoster(session)
+  });
+
+  roomsLog.info("Phone caller joined", {
+    roomId: roomId,
+    userType: participant.userType,
+    callSid: participant.callSid,
+    language: language
+  });
+
+  res.send(mediaStreamTwiml(req, {
+    roomId: roomId,
+    userType: participant.userType,
+    myLanguage: language,
+    token: createRoomToken({ roomId: roomId, role: participant.userType, identity: participant.identity })
+  }, connectingResponse(language)));
+});
+
+// =====================================
+// TRANSLATION ENDPOINT
+// =====================================
 
 // Get translations endpoint (for UI updates)
-app.get("/get-translations", (req, res) => {
+app.get("/get-translations", requireRoomToken(), (req, res) => {
   try {
-    const { roomId, userType, since } = req.query;
-    
-    if (!roomId) {
-      console.log("❌ Get translations: Missing roomId");
-      return res.status(400).json({ error: "Missing roomId" });
+    const { since } = req.query;
+    const roomId = req.roomToken.roomId;
+    const userType = req.roomToken.role;
+
+    // Each participant reads only its own feed
+    if (req.query.userType && req.query.userType !== userType) {
+      return res.status(403).json({ error: "Token does not belong to this participant" });
     }
 
     const sinceTime = parseInt(since) || 0;
-    const roomKey = `${roomId}:${userType}`;
-    const translations = recentTranslations.get(roomKey) || [];
 
-    // Filter translations newer than 'since' timestamp
-    const newTranslations = translations.filter(t => t.timestamp > sinceTime);
+    // Translations newer than 'since' timestamp
+    const newTranslations = activeSessions.getUtterances(roomId, {
+      userType: userType,
+      since: sinceTime
+    });
 
-    // Debug logging
     if (newTranslations.length > 0) {
-      console.log(`📤 Sending ${newTranslations.length} translations to ${userType} in room ${roomId}`);
+      routesLog.debug("Sending translations", { roomId: roomId, userType: userType, count: newTranslations.length });
     }
 
+    const session = activeSessions.get(roomId);
+
     res.json({
       translations: newTranslations,
-      count: newTranslations.length
+      count: newTranslations.length,
+      participants: session ? toRoster(session) : [],
+      captions: Array.from((partialCaptions.get(roomId) || new Map()).values())
     });
 
   } catch (error) {
-    console.error("❌ Get translations error:", error.message);
+    routesLog.error("Get translations failed", { error: error });
     res.status(500).json({ error: "Failed to get translations" });
   }
 });
 
 // Helper function to add translation (call this from processor)
 function addTranslation(roomId, userType, translationData) {
-  const roomKey = `${roomId}:${userType}`;
-  
-  if (!recentTranslations.has(roomKey)) {
-    recentTranslations.set(roomKey, []);
+  activeSessions.addUtterance(roomId, userType, translationData);
+
+  // Push to subscribers right away
+  roomEvents.publish(
+    roomId,
+    translationData.isIncoming ? "translation" : "transcript",
+    translationData,
+    userType
+  );
+
+  roomsLog.debug("Stored utterance", {
+    roomId: roomId,
+    userType: userType,
+    translatedText: translationData.translatedText
+  });
+}
+
+// Export for use in processor
+global.addTranslation = addTranslation;
+
+// =====================================
+// TYPE-TO-SPEAK
+// POST /send-message, or { type: "message", text, language } on /room-events
+// =====================================
+
+const MAX_MESSAGE_CHARS = 500;
+
+/**
+ * Translate a typed message and speak it into the other legs, through
+ * the sender's processor (or a text-only one when it has no media leg)
+ * @param {string} roomId
+ * @param {Object} claims - The sender's token claims { role, identity }
+ * @param {string} text
+ * @param {string} [language]
+ * @returns {Promise<Object>} { status, error } on failure, {} on success
+ */
+async function sendTypedMessage(roomId, claims, text, language) {
+  if (typeof text !== "string" || !text.trim()) {
+    return { status: 400, error: "text is required" };
+  }
+  if (text.length > MAX_MESSAGE_CHARS) {
+    return { status: 400, error: `text is limited to ${MAX_MESSAGE_CHARS} characters` };
   }
 
-  const translations = recentTranslations.get(roomKey);
-  translations.push(translationData);
+  const session = activeSessions.get(roomId);
+  if (!session) {
+    return { status: 404, error: "Room not found" };
+  }
 
-  // Keep only last 50 translations per room
-  if (translations.length > 50) {
-    translations.shift();
+  const participant = getTokenParticipant(session, claims);
+  if (!participant) {
+    return { status: 403, error: "Not a participant of this room" };
   }
 
-  recentTranslations.set(roomKey, translations);
-  
-  // Debug log
-  console.log(`💾 Stored translation for ${userType} in room ${roomId}: "${translationData.translatedText}"`);
+  const messageLanguage = requestedLanguage(language) || participant.language;
+  if (!messageLanguage) {
+    return { status: 400, error: "language is required until yours is known" };
+  }
+
+  // Without a media leg, one text-only processor per participant keeps
+  // its messages queued in order
+  if (!participant.connection && !participant.textProcessor) {
+    participant.textProcessor = BidirectionalProcessor.forTextOnly(activeSessions, roomId, participant);
+  }
+  const processor = participant.connection || participant.textProcessor;
+
+  await processor.handleTypedMessage(text.trim(), messageLanguage);
+  return {};
 }
 
-// Export for use in processor
-global.addTranslation = addTranslation;
+app.post("/send-message", requireRoomToken(), async (req, res) => {
+  try {
+    const result = await sendTypedMessage(
+      req.roomToken.roomId,
+      req.roomToken,
+      req.body.text,
+      req.body.language
+    );
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ success: true });
+
+  } catch (error) {
+    routesLog.error("Send message failed", { error: error });
+    res.status(500).json({ error: "Failed to send message" });
+  }
+});
+
+roomEvents.onMessage("message", async (subscriber, data) => {
+  const result = await sendTypedMessage(
+    subscriber.roomId,
+    { role: subscriber.userType, identity: subscriber.identity },
+    data.text,
+    data.language
+  );
+  if (result.error) {
+    throw new Error(result.error);
+  }
+  roomEvents.send(subscriber.ws, { type: "message-sent", clientId: data.clientId || null });
+});
+
+// Full transcript of a room, also after the call has ended
+app.get("/room-history", requireRoomToken(), (req, res) => {
+  const { since } = req.query;
+  const roomId = req.roomToken.roomId;
+  const userType = req.roomToken.role;
+
+  // Each participant reads only its own feed
+  if (req.query.userType && req.query.userType !== userType) {
+    return res.status(403).json({ error: "Token does not belong to this participant" });
+  }
+
+  const record = activeSessions.getRoomRecord(roomId);
+  if (!record) {
+    return res.status(404).json({ error: "Room not found" });
+  }
+
+  res.json({
+    room: toPublicRecord(record),
+    utterances: activeSessions.getUtterances(roomId, {
+      userType: userType,
+      since: parseInt(since) || 0
+    })
+  });
+});
+
+// Live partial captions: roomId -> Map(userType -> caption)
+const partialCaptions = new Map();
+
+// Helper to set (or clear, with null) a speaker's partial caption
+function updateCaption(roomId, userType, caption) {
+  if (!partialCaptions.has(roomId)) {
+    partialCaptions.set(roomId, new Map());
+  }
+
+  const captions = partialCaptions.get(roomId);
+  if (caption) {
+    captions.set(userType, { ...caption, userType: userType, timestamp: Date.now() });
+  } else {
+    captions.delete(userType);
+  }
+
+  if (captions.size === 0) {
+    partialCaptions.delete(roomId);
+  }
+
+  roomEvents.publish(roomId, "partial-caption", caption
+    ? { ...caption, userType: userType }
+    : { userType: userType, text: null, cleared: true });
+}
+
+global.updateCaption = updateCaption;
 
 // Clean up old translations periodically
 setInterval(() => {
   const now = Date.now();
-  const maxAge = 600000; // 10 minutes
+  const maxAge = ROOM_HISTORY_RETENTION_MS;
+
+  activeSessions.prune(maxAge);
 
-  for (const [key, translations] of recentTranslations.entries()) {
-    const filtered = translations.filter(t => (now - t.timestamp) < maxAge);
-    if (filtered.length === 0) {
-      recentTranslations.delete(key);
-    } else {
-      recentTranslations.set(key, filtered);
+  // Partial captions only live until the final result arrives
+  for (const [roomId, captions] of partialCaptions.entries()) {
+    for (const [userType, caption] of captions.entries()) {
+      if (now - caption.timestamp > 60000) captions.delete(userType);
     }
+    if (captions.size === 0) partialCaptions.delete(roomId);
   }
+
+  roomEvents.cleanup(maxAge);
+  cleanupRateLimits();
 }, 60000); // Run every minute
 
+// End rooms over their call-duration or audio quota
+setInterval(() => {
+  for (const [roomId, session] of activeSessions.entries()) {
+    const reason = getRoomLimitExceeded(session);
+    if (reason) {
+      roomsLog.warn("Room over its limit", { roomId: roomId, reason: reason });
+      closeRoom(roomId, reason, { hangUp: true });
+    }
+  }
+}, 15000);
+
+// =====================================
+// USAGE
+// =====================================
+
+// Priced usage per room, e.g. /usage?from=2025-01-01&to=2025-02-01
+// Rooms are matched by creation time. Ended rooms are only kept
+// beyond ROOM_HISTORY_RETENTION_MS with ROOM_STORE=file.
+app.get("/usage", requireAdminKey, (req, res) => {
+  const parseTime = (value) => {
+    if (!value) return undefined;
+    return /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  };
+
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: "from/to must be timestamps (ms) or ISO dates" });
+  }
+
+  const records = activeSessions.listRooms({ includeEnded: true, from: from, to: to })
+    .filter(record =>
+      (!req.query.roomId || record.roomId === req.query.roomId) &&
+      (!req.query.accountId || record.accountId === req.query.accountId)
+    );
+
+  res.json({
+    from: from || null,
+    to: to || null,
+    ...buildUsageReport(records)
+  });
+});
+
+// =====================================
+// ADMIN API (Authorization: Bearer <ADMIN_API_KEY>)
+// =====================================
+
+// Longest an operator's spoken notice may hold a kicked leg open
+const KICK_NOTICE_TIMEOUT_MS = 15000;
+
+// Roster plus each connected leg's live processor stats
+function describeRoom(session) {
+  return {
+    roomId: session.roomId,
+    state: session.state,
+    accountId: session.accountId || null,
+    createdAt: session.createdAt,
+    ageMs: Date.now() - session.createdAt,
+    maxParticipants: session.maxParticipants,
+    participants: toRoster(session).map((entry, i) => {
+      const connection = session.participants[i].connection;
+      return { ...entry, stats: connection ? { ...connection.stats } : null };
+    })
+  };
+}
+
+app.get("/admin/rooms", requireAdminKey, (req, res) => {
+  const rooms = Array.from(activeSessions.values()).map(describeRoom);
+  res.json({ count: rooms.length, rooms: rooms });
+});
+
+// One room (live, or recently ended) with its latest utterances, e.g. ?limit=20
+app.get("/admin/rooms/:roomId", requireAdminKey, (req, res) => {
+  const roomId = req.params.roomId;
+  const session = activeSessions.get(roomId);
+  const room = session ? describeRoom(session) : activeSessions.getRoomRecord(roomId);
+
+  if (!room) {
+    return res.status(404).json({ error: "Room not found" });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 50, 1000);
+  res.json({
+    ...room,
+    utterances: activeSessions.getUtterances(roomId).slice(-limit)
+  });
+});
+
+app.post("/admin/rooms/:roomId/end", requireAdminKey, (req, res) => {
+  const roomId = req.params.roomId;
+  if (!activeSessions.has(roomId)) {
+    return res.status(404).json({ error: "Room not found" });
+  }
+
+  roomsLog.info("Room ended by an operator", { roomId: roomId });
+  closeRoom(roomId, req.body.reason || "The call was ended by an operator", { hangUp: true });
+  res.json({ success: true });
+});
+
+// Remove one leg. The reason (written in body.language, default "en") is
+// spoken to it in its own language before its stream is closed.
+app.post("/admin/rooms/:roomId/participants/:userType/kick", requireAdminKey, (req, res) => {
+  const { roomId, userType } = req.params;
+  const session = activeSessions.get(roomId);
+  const participant = session ? getParticipant(session, userType) : null;
+
+  if (!participant) {
+    return res.status(404).json({ error: "Participant not found" });
+  }
+
+  const reason = req.body.reason || "You have been removed from this call.";
+  const connection = participant.connection;
+
+  roomsLog.info("Participant removed by an operator", { roomId: roomId, userType: userType });
+  handleParticipantExit(roomId, userType, "Other participant was removed");
+
+  if (connection) {
+    const timeout = new Promise(resolve => setTimeout(resolve, KICK_NOTICE_TIMEOUT_MS));
+    Promise.race([connection.speakNotice(reason, req.body.language), timeout])
+      .catch(error => roomsLog.warn("Could not speak removal notice", { roomId: roomId, userType: userType, error: error }))
+      .finally(() => connection.ws.close());
+  } else if (participant.callSid && !isFinalCallStatus(participant.callStatus)) {
+    hangUpCall(participant.callSid, participant.callStatus);
+  }
+
+  res.json({ success: true });
+});
+
+// Pause or resume translating what one leg says (it still hears the others)
+function setTranslationPaused(req, res, paused) {
+  const { roomId, userType } = req.params;
+  const session = activeSessions.get(roomId);
+  const participant = session ? getParticipant(session, userType) : null;
+
+  if (!participant) {
+    return res.status(404).json({ error: "Participant not found" });
+  }
+
+  participant.translationPaused = paused;
+  activeSessions.set(roomId, session);
+
+  roomEvents.publish(roomId, paused ? "translation-paused" : "translation-resumed", {
+    userType: userType,
+    participants: toRoster(session)
+  });
+  roomsLog.info(paused ? "Translation paused" : "Translation resumed", { roomId: roomId, userType: userType });
+
+  res.json({ success: true, userType: userType, translationPaused: paused });
+}
+
+app.post("/admin/rooms/:roomId/participants/:userType/pause", requireAdminKey, (req, res) => {
+  setTranslationPaused(req, res, true);
+});
+
+app.post("/admin/rooms/:roomId/participants/:userType/resume", requireAdminKey, (req, res) => {
+  setTranslationPaused(req, res, false);
+});
+
+// =====================================
+// RECORDINGS
+// =====================================
+
+// Recording info: start/end time and tracks
+app.get("/recordings/:roomId", requireRoomToken(), (req, res) => {
+  const info = getRecordingInfo(req.params.roomId);
+  if (!info) {
+    return res.status(404).json({ error: "Recording not found" });
+  }
+  res.json(info);
+});
+
+// One track as WAV, e.g. /recordings/abc123/tracks/caller-inbound
+app.get("/recordings/:roomId/tracks/:track", requireRoomToken(), (req, res) => {
+  const wav = getTrackWav(req.params.roomId, req.params.track);
+  if (!wav) {
+    return res.status(404).json({ error: "Track not found" });
+  }
+  res.type("audio/wav");
+  res.attachment(`${req.params.roomId}-${req.params.track}.wav`);
+  res.send(wav);
+});
+
+// Stereo mix: left/right = one leg each (said + heard), streamed as it is mixed
+app.get("/recordings/:roomId/mix", requireRoomToken(), async (req, res) => {
+  const left = req.query.left || "caller";
+  const right = req.query.right || "receiver";
+
+  if (!getRecordingInfo(req.params.roomId)) {
+    return res.status(404).json({ error: "Recording not found" });
+  }
+
+  res.type("audio/wav");
+  res.attachment(`${req.params.roomId}-${left}-${right}.wav`);
+
+  try {
+    await streamStereoMix(req.params.roomId, left, right, res);
+  } catch (error) {
+    routesLog.error("Recording mix failed", { roomId: req.params.roomId, error: error });
+    res.destroy();
+  }
+});
+
 // =====================================
 // WEBSOCKET SERVER
 // =====================================
@@ -446,63 +1541,81 @@ const BidirectionalProcessor = require("./bidirectional-processor");
 const wss = new WebSocket.Server({ noServer: true });
 
 wss.on("connection", (ws, req) => {
-  console.log("🔗 WebSocket connection established");
-
   const processor = new BidirectionalProcessor(ws, activeSessions);
+  processor.log.debug("WebSocket connection established");
 
   ws.on("message", async (message) => {
     try {
       const data = JSON.parse(message);
       await processor.handleMessage(data);
     } catch (error) {
-      console.error("❌ Message error:", error.message);
+      processor.log.error("Message error", { error: error });
     }
   });
 
   ws.on("close", () => {
-    console.log("❌ WebSocket closed for", processor.userType);
+    processor.log.info("WebSocket closed");
 
     const roomId = processor.roomId;
     const userType = processor.userType;
 
-    // If missing metadata, still clean the processor
-    if (!roomId || !userType) {
+    // Never joined a room (or was refused), nothing to hand over
+    if (!roomId || !userType || !processor.registered) {
       processor.cleanup();
       return;
     }
 
-    const session = activeSessions.get(roomId);
-    if (!session) {
-      processor.cleanup();
-      return;
-    }
+    // Detach first so the leaving leg is not notified about itself
+    processor.cleanup();
 
-    // Notify other side if connected
-    const otherSide = userType === "caller" ? session.participantConnection : session.creatorConnection;
-    try {
-      if (otherSide && otherSide.ws && otherSide.ws.readyState === 1) {
-        otherSide.ws.send(JSON.stringify({
-          event: "force-disconnect",
-          reason: "Other participant disconnected (ws close)"
-        }));
-      }
-    } catch (err) {
-      console.warn("Failed to notify other side on ws close:", err?.message || err);
-    }
+    handleLegDropped(roomId, userType);
+  });
 
-    // Remove the room completely so future joins see a clean state
-    activeSessions.delete(roomId);
-    console.log("🗑️ Room deleted because participant WS closed:", roomId);
 
+  ws.on("error", (error) => {
+    processor.log.error("WebSocket error", { error: error });
     processor.cleanup();
   });
+});
 
+// =====================================
+// ROOM EVENTS WEBSOCKET
+// /room-events?token=<room token>&lastEventId=42
+// The room and userType come from the token
+// =====================================
+const eventsWss = new WebSocket.Server({ noServer: true });
 
+eventsWss.on("connection", (ws, req) => {
+  const params = new URL(req.url, "http://localhost").searchParams;
+  const claims = verifyRoomToken(params.get("token"));
 
-  ws.on("error", (error) => {
-    console.error("❌ WebSocket error:", error.message);
-    processor.cleanup();
+  if (!claims || claims.role === INVITE_ROLE) {
+    ws.close(4001, "Missing or invalid room token");
+    return;
+  }
+
+  const roomId = claims.roomId;
+  const userType = claims.role;
+  const session = activeSessions.get(roomId);
+
+  if (!session) {
+    ws.close(4004, "Room not found");
+    return;
+  }
+
+  if (!getTokenParticipant(session, claims)) {
+    ws.close(4003, "Token no longer belongs to a participant of this room");
+    return;
+  }
+
+  roomEvents.subscribe(ws, {
+    roomId: roomId,
+    userType: userType,
+    identity: claims.identity,
+    lastEventId: params.get("lastEventId")
   });
+
+  roomsLog.debug("Room events subscriber", { roomId: roomId, userType: userType || "observer" });
 });
 
 // =====================================
@@ -515,35 +1628,27 @@ const server = app.listen(PORT, () => {
     ? process.env.PUBLIC_WS_URL.replace("wss://", "https://").replace("/media-stream", "")
     : "Not configured";
 
-  console.log(`
-╔════════════════════════════════════════════════╗
-║  🚀 Twilio Voice SDK v2 Server Running         ║
-║  📡 Port: ${PORT}                               ║
-║  🌐 Local: http://localhost:${PORT}            ║
-║  🌍 Public: ${publicUrl}                        ║
-╚════════════════════════════════════════════════╝
-  `);
-
-  console.log(`
-🔍 Endpoints:
-  • ${publicUrl || 'http://localhost:' + PORT}/ - Main page
-  • ${publicUrl || 'http://localhost:' + PORT}/join?room=xxx - Join page
-  • ${publicUrl || 'http://localhost:' + PORT}/health - Health check
-  • ${publicUrl || 'http://localhost:' + PORT}/voice-token - Get token
-  • ${publicUrl || 'http://localhost:' + PORT}/get-translations - Translation updates
-  
-📱 Ready to accept connections!
-  `);
+  log.info("Server listening", {
+    port: Number(PORT),
+    publicUrl: publicUrl,
+    endpoints: ["/", "/join", "/health", "/voice-token", "/get-translations", "/room-events", "/metrics"]
+  });
 });
 
 // WebSocket upgrade handler
 server.on("upgrade", (req, socket, head) => {
-  if (req.url === "/media-stream") {
+  const { pathname } = new URL(req.url, "http://localhost");
+
+  if (pathname === "/media-stream") {
     wss.handleUpgrade(req, socket, head, (ws) => {
       wss.emit("connection", ws, req);
     });
+  } else if (pathname === "/room-events") {
+    eventsWss.handleUpgrade(req, socket, head, (ws) => {
+      eventsWss.emit("connection", ws, req);
+    });
   } else {
-    console.log("❌ Invalid WebSocket path:", req.url);
+    log.warn("Rejected WebSocket upgrade for unknown path", { path: pathname });
     socket.destroy();
   }
 });
@@ -555,17 +1660,22 @@ setInterval(() => {
   
   for (const [roomId, session] of activeSessions.entries()) {
     if (now - session.createdAt > oneHour) {
-      activeSessions.delete(roomId);
-      console.log("🧹 Cleaned up expired room:", roomId);
+      closeRoom(roomId, "Room expired", { hangUp: true });
     }
   }
+
+  const deleted = pruneRecordings(RECORDING_RETENTION_MS);
+  if (deleted > 0) {
+    log.info("Deleted expired recordings", { count: deleted });
+  }
 }, 300000);
 
 // Graceful shutdown
 const shutdown = () => {
-  console.log("\n🛑 Shutting down gracefully...");
-  server.close(() => {
-    console.log("✓ Server closed");
+  log.info("Shutting down gracefully");
+  server.close(async () => {
+    await activeSessions.flush();
+    log.info("Server closed");
     process.exit(0);
   });
 };
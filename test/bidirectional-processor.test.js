@@ -0,0 +1,151 @@
+process.env.LOG_LEVEL = "silent";
+process.env.PROVIDER = "local";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const BidirectionalProcessor = require("../bidirectional-processor");
+const { startServer, speak, waitFor, delay } = require("./helpers/server");
+
+let server;
+
+test.before(async () => {
+  // Every test opens its own room
+  server = await startServer({ MAX_ROOMS_PER_IDENTITY: "10" });
+});
+
+test.after(() => server.stop());
+
+async function createRoom(participants) {
+  const created = await server.request("POST", "/create-room", { body: { creatorLanguage: "en", maxParticipants: 4 } });
+  const legs = [created.body];
+  for (let i = 1; i < participants; i++) {
+    legs.push(await join(created.body.inviteToken));
+  }
+  return { roomId: created.body.roomId, inviteToken: created.body.inviteToken, legs: legs };
+}
+
+async function join(inviteToken) {
+  const joined = await server.request("POST", "/join-room", { body: { token: inviteToken, participantLanguage: "es" } });
+  return joined.body;
+}
+
+function incoming(history, speaker) {
+  return history.body.utterances.filter(u => u.isIncoming && u.speaker === speaker);
+}
+
+test("a media leg that left is not heard as the participant who took its userType", async () => {
+  const room = await createRoom(3);
+  const [caller, receiver] = room.legs;
+
+  const callerMedia = await server.openMedia(room.roomId, "caller", caller.token, "en");
+  const oldMedia = await server.openMedia(room.roomId, "receiver", receiver.token, "es");
+  await delay(200);
+
+  await speak(oldMedia);
+  await waitFor(async () => incoming(await server.request("GET", "/room-history", { token: caller.token }), "receiver").length === 1);
+
+  // The receiver leaves but its stream stays open; a newcomer becomes "receiver"
+  const leftAt = Date.now();
+  assert.strictEqual((await server.request("POST", "/leave-room", { token: receiver.token })).status, 200);
+  const newcomer = await join(room.inviteToken);
+  assert.strictEqual(newcomer.userType, "receiver");
+
+  await speak(oldMedia);
+  await delay(1500);
+
+  const history = await server.request("GET", "/room-history", { token: caller.token });
+  assert.strictEqual(incoming(history, "receiver").length, 1);
+  const newcomerHistory = await server.request("GET", `/room-history?since=${leftAt}`, { token: newcomer.token });
+  assert.deepStrictEqual(newcomerHistory.body.utterances, []);
+
+  callerMedia.close();
+  oldMedia.close();
+});
+
+test("a media stream for a participant that left is refused", async () => {
+  const room = await createRoom(3);
+  const receiver = room.legs[1];
+
+  await server.request("POST", "/leave-room", { token: receiver.token });
+  const media = await server.openMedia(room.roomId, "receiver", receiver.token, "es");
+
+  await media.closed;
+});
+
+test("STT latency is labelled with the source and target language", async () => {
+  const room = await createRoom(2);
+  const [caller, receiver] = room.legs;
+
+  const callerMedia = await server.openMedia(room.roomId, "caller", caller.token, "en");
+  const receiverMedia = await server.openMedia(room.roomId, "receiver", receiver.token, "es");
+  await delay(200);
+
+  await speak(callerMedia);
+  const line = await waitFor(async () => (await server.request("GET", "/metrics")).body
+    .split("\n")
+    .find(l => l.startsWith('translator_stt_latency_seconds_count{source_language="en",target_language="es"}')));
+  assert.ok(Number(line.split(" ").pop()) >= 1);
+
+  callerMedia.close();
+  receiverMedia.close();
+});
+
+test("typed text is escaped before it becomes SSML", () => {
+  const processor = new BidirectionalProcessor(null, new Map());
+
+  assert.strictEqual(
+    processor.buildSimpleSSML("Tom & <Jerry> say \"hi\"."),
+    '<speak>Tom &amp; &lt;Jerry&gt; say &quot;hi&quot;.<break time="250ms"/></speak>'
+  );
+});
+
+test("a participant's typed messages play in order even when an earlier one translates slower", async () => {
+  const caller = { userType: "caller", identity: "id-caller", language: "en", connection: null };
+  const played = [];
+  const listener = {
+    userType: "receiver",
+    myLanguage: "es",
+    ws: { readyState: 1 },
+    playback: {
+      enqueue: audio => played.push(audio.toString()),
+      getStatus: () => ({ depth: played.length, remainingMs: 0 })
+    }
+  };
+  const receiver = { userType: "receiver", identity: "id-receiver", language: "es", connection: listener };
+  const sessions = new Map([["r1", { roomId: "r1", participants: [caller, receiver] }]]);
+
+  const processor = BidirectionalProcessor.forTextOnly(sessions, "r1", caller);
+  processor.providers = {
+    ...processor.providers,
+    translator: { translate: async text => { await delay(text.length > 10 ? 100 : 0); return text.toUpperCase(); } }
+  };
+  processor.generateSmoothSpeech = async text => Buffer.from(text);
+
+  await Promise.all(["a long first message", "ok", "fine"].map(text => processor.handleTypedMessage(text)));
+  assert.deepStrictEqual(played, ["A LONG FIRST MESSAGE", "OK", "FINE"]);
+});
+
+test("typed messages from a participant without a media leg are spoken in the order sent", async () => {
+  const room = await createRoom(2);
+  const [caller, receiver] = room.legs;
+
+  const receiverMedia = await server.openMedia(room.roomId, "receiver", receiver.token, "es");
+  const events = await server.openEvents(caller.token);
+  await delay(200);
+
+  const texts = ["hello there my friend how are you today", "yes", "thank you"];
+  for (const text of texts) {
+    events.send(JSON.stringify({ type: "message", text: text }));
+  }
+
+  const heard = await waitFor(async () => {
+    const history = await server.request("GET", "/room-history", { token: receiver.token });
+    const typed = incoming(history, "caller");
+    return typed.length === texts.length && typed;
+  });
+  assert.deepStrictEqual(heard.map(u => u.originalText), texts);
+  assert.ok(heard.every(u => u.typed));
+
+  events.close();
+  receiverMedia.close();
+});
@@ -0,0 +1,112 @@
+process.env.LOG_LEVEL = "silent";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+const { PassThrough } = require("stream");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "recordings-"));
+process.env.RECORDINGS_DIR = dir;
+
+const { decodeMulaw } = require("../audio-utils");
+const {
+  getRecorder,
+  finishRecording,
+  getRecordingInfo,
+  getTrackWav,
+  streamStereoMix,
+  pruneRecordings
+} = require("../call-recorder");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Tracks are flushed by their write streams after finish
+async function finishAndFlush(roomId) {
+  const streams = Array.from(getRecorder(roomId).tracks.values()).map(track => track.stream);
+  finishRecording(roomId);
+  await Promise.all(streams.map(stream => once(stream, "close")));
+  return getRecordingInfo(roomId);
+}
+
+test("tracks share the room's timeline, silence filling the gaps", async () => {
+  const recorder = getRecorder("timeline");
+  recorder.write("caller", "inbound", Buffer.alloc(800, 0x10));
+  await delay(300);
+  recorder.write("caller", "inbound", Buffer.alloc(800, 0x10));
+
+  const info = await finishAndFlush("timeline");
+  assert.ok(info.endedAt);
+  assert.deepStrictEqual(info.tracks.map(track => track.name), ["caller-inbound"]);
+  // 100ms, a ~200ms gap, then 100ms more
+  assert.ok(info.tracks[0].durationMs >= 390 && info.tracks[0].durationMs < 600, `${info.tracks[0].durationMs}ms`);
+
+  const wav = getTrackWav("timeline", "caller-inbound");
+  assert.strictEqual(wav.toString("ascii", 0, 4), "RIFF");
+  assert.strictEqual(getTrackWav("timeline", "receiver-inbound"), null);
+});
+
+test("the stereo mix is built across chunks, one leg per channel", async () => {
+  // Longer than one 5s mixing chunk
+  const samples = 8000 * 6;
+  const recorder = getRecorder("mix");
+  recorder.write("caller", "inbound", Buffer.alloc(samples, 0x20));
+  recorder.write("receiver", "outbound", Buffer.alloc(samples / 2, 0xA0));
+  const info = await finishAndFlush("mix");
+  assert.deepStrictEqual(info.tracks.map(track => track.durationMs), [6000, 3000]);
+
+  const output = new PassThrough();
+  const chunks = [];
+  output.on("data", chunk => chunks.push(chunk));
+  const ended = new Promise(resolve => output.on("end", resolve));
+
+  assert.strictEqual(await streamStereoMix("mix", "caller", "receiver", output), true);
+  await ended;
+
+  const wav = Buffer.concat(chunks);
+  assert.strictEqual(wav.readUInt32LE(40), samples * 4);
+  assert.strictEqual(wav.length, 44 + samples * 4);
+
+  const left = decodeMulaw(Buffer.from([0x20])).readInt16LE(0);
+  const right = decodeMulaw(Buffer.from([0xA0])).readInt16LE(0);
+  const sampleAt = (i, channel) => wav.readInt16LE(44 + i * 4 + channel * 2);
+  assert.strictEqual(sampleAt(0, 0), left);
+  assert.strictEqual(sampleAt(0, 1), right);
+  // Past the first chunk and past the shorter track's end
+  assert.strictEqual(sampleAt(samples - 1, 0), left);
+  assert.strictEqual(sampleAt(samples - 1, 1), 0);
+
+  assert.strictEqual(await streamStereoMix("missing", "caller", "receiver", new PassThrough()), false);
+});
+
+test("pruning removes old recordings, including ones with damaged metadata", async () => {
+  const recorder = getRecorder("live");
+  recorder.write("caller", "inbound", Buffer.alloc(80));
+
+  // Torn metadata: aged by the directory instead
+  for (const [name, ageMs] of [["damaged-old", 3600000], ["damaged-new", 0]]) {
+    const roomDir = path.join(dir, name);
+    fs.mkdirSync(roomDir);
+    fs.writeFileSync(path.join(roomDir, "metadata.json"), "{\"roomId\":");
+    const mtime = new Date(Date.now() - ageMs);
+    fs.utimesSync(roomDir, mtime, mtime);
+  }
+  assert.strictEqual(getRecordingInfo("damaged-old"), null);
+
+  const deleted = pruneRecordings(60000);
+  assert.strictEqual(deleted, 1);
+  assert.ok(!fs.existsSync(path.join(dir, "damaged-old")));
+  assert.ok(fs.existsSync(path.join(dir, "damaged-new")));
+
+  // Finished recordings go once past the age; live ones never do
+  await delay(5);
+  pruneRecordings(1);
+  assert.deepStrictEqual(fs.readdirSync(dir), ["live"]);
+  finishRecording("live");
+});
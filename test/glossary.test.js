@@ -0,0 +1,71 @@
+process.env.LOG_LEVEL = "silent";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { normalizeGlossary, mergeGlossaries, protectTerms, restoreTerms } = require("../glossary");
+
+const glossary = {
+  terms: { en: { es: { "Acme": "Acme", "Acme Cloud": "Nube Acme" } } },
+  doNotTranslate: ["Twilio"]
+};
+
+test("protectTerms swaps terms for placeholders, longest first", () => {
+  const { text, replacements } = protectTerms("we run acme cloud on twilio", glossary, "en-US", "es");
+
+  assert.strictEqual(text, "we run ⟦0⟧ on ⟦1⟧");
+  assert.deepStrictEqual(replacements, ["Nube Acme", "Twilio"]);
+});
+
+test("protectTerms only matches whole words", () => {
+  const { text, replacements } = protectTerms("Acmeville has no Twilios", glossary, "en", "es");
+
+  assert.strictEqual(text, "Acmeville has no Twilios");
+  assert.deepStrictEqual(replacements, []);
+});
+
+test("protectTerms ignores other language pairs' terms", () => {
+  const { text, replacements } = protectTerms("acme cloud", glossary, "en", "fr");
+
+  assert.strictEqual(text, "acme cloud");
+  assert.deepStrictEqual(replacements, []);
+});
+
+test("restoreTerms fills placeholders, tolerating translator spacing", () => {
+  assert.strictEqual(
+    restoreTerms("usamos ⟦0⟧ en ⟦ 1 ⟧", ["Nube Acme", "Twilio"]),
+    "usamos Nube Acme en Twilio"
+  );
+});
+
+test("restoreTerms appends terms whose placeholder was dropped", () => {
+  assert.strictEqual(restoreTerms("usamos ⟦0⟧", ["Nube Acme", "Twilio"]), "usamos Nube Acme Twilio");
+});
+
+test("normalizeGlossary keys terms by base language", () => {
+  const { glossary: normalized } = normalizeGlossary({
+    terms: { "en-US": { "es-MX": { " Acme ": "Acme" } } },
+    doNotTranslate: ["Twilio", " Twilio ", ""]
+  });
+
+  assert.deepStrictEqual(normalized, {
+    terms: { en: { es: { Acme: "Acme" } } },
+    doNotTranslate: ["Twilio"]
+  });
+});
+
+test("normalizeGlossary rejects malformed input", () => {
+  assert.ok(normalizeGlossary([]).error);
+  assert.ok(normalizeGlossary({ terms: { en: { es: { Acme: 1 } } } }).error);
+  assert.ok(normalizeGlossary({ doNotTranslate: "Twilio" }).error);
+});
+
+test("mergeGlossaries lets later glossaries win", () => {
+  const merged = mergeGlossaries(glossary, {
+    terms: { en: { es: { "Acme": "ACME" } } },
+    doNotTranslate: ["Twilio", "Flex"]
+  });
+
+  assert.strictEqual(merged.terms.en.es["Acme"], "ACME");
+  assert.strictEqual(merged.terms.en.es["Acme Cloud"], "Nube Acme");
+  assert.deepStrictEqual(merged.doNotTranslate, ["Twilio", "Flex"]);
+});
@@ -0,0 +1,200 @@
+// Runs server.js in a child process on a free port, with the offline
+// providers and Twilio signature checks off
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+const WebSocket = require("ws");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {Object} [env] - Extra environment for the server
+ * @returns {Promise<Object>} { baseUrl, request, form, openEvents, openMedia, stop }
+ */
+async function startServer(env = {}) {
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const child = spawn(process.execPath, ["-r", path.join(__dirname, "stub-phone-calls.js"), "server.js"], {
+    cwd: ROOT,
+    stdio: ["ignore", "ignore", "inherit"],
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      LOG_LEVEL: "silent",
+      PROVIDER: "local",
+      ROOM_TOKEN_SECRET: "test-secret",
+      TWILIO_VALIDATE_SIGNATURE: "false",
+      TWILIO_ACCOUNT_SID: "ACtest",
+      TWILIO_AUTH_TOKEN: "test",
+      TWILIO_API_KEY: "SKtest",
+      TWILIO_API_SECRET: "test",
+      TWILIO_APP_SID: "APtest",
+      TWILIO_PHONE_NUMBER: "+15550000000",
+      ...env
+    }
+  });
+  const exited = new Promise(resolve => child.once("exit", resolve));
+
+  for (let i = 0; ; i++) {
+    try {
+      if ((await fetch(`${baseUrl}/health`)).ok) break;
+    } catch (error) {
+      if (i >= 100 || child.exitCode !== null) {
+        child.kill("SIGKILL");
+        throw new Error("Server did not start");
+      }
+    }
+    await delay(100);
+  }
+
+  /**
+   * JSON request; token goes in the Authorization header
+   * @returns {Promise<Object>} { status, body }
+   */
+  async function request(method, route, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    if (options.token) headers.Authorization = `Bearer ${options.token}`;
+    if (options.body) headers["Content-Type"] = "application/json";
+
+    const res = await fetch(baseUrl + route, {
+      method: method,
+      headers: headers,
+      body: options.body ? JSON.stringify(options.body) : undefined
+    });
+    const text = await res.text();
+    let body = text;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      // TwiML or empty
+    }
+    return { status: res.status, body: body };
+  }
+
+  /**
+   * Form-encoded POST, the way Twilio calls webhooks
+   */
+  async function form(route, fields) {
+    const res = await fetch(baseUrl + route, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams(fields).toString()
+    });
+    return { status: res.status, body: await res.text() };
+  }
+
+  /**
+   * /room-events socket that collects what it receives
+   */
+  function openEvents(token) {
+    const ws = new WebSocket(`${baseUrl.replace("http", "ws")}/room-events?token=${token}`);
+    ws.received = [];
+    ws.closed = new Promise(resolve => ws.on("close", code => resolve(code)));
+    ws.on("message", message => ws.received.push(JSON.parse(message)));
+    return new Promise((resolve, reject) => {
+      ws.on("message", function subscribed(message) {
+        if (JSON.parse(message).type === "subscribed") {
+          ws.off("message", subscribed);
+          resolve(ws);
+        }
+      });
+      ws.on("error", reject);
+    });
+  }
+
+  /**
+   * /media-stream socket, started like a Twilio stream for a participant
+   */
+  async function openMedia(roomId, userType, token, language) {
+    const ws = new WebSocket(`${baseUrl.replace("http", "ws")}/media-stream`);
+    ws.received = [];
+    ws.closed = new Promise(resolve => ws.on("close", code => resolve(code)));
+    ws.on("message", message => ws.received.push(JSON.parse(message)));
+    await new Promise((resolve, reject) => {
+      ws.on("open", resolve);
+      ws.on("error", reject);
+    });
+
+    ws.send(JSON.stringify({
+      event: "start",
+      streamSid: `MZ${userType}`,
+      start: {
+        callSid: `CA${userType}`,
+        customParameters: { roomId: roomId, userType: userType, myLanguage: language, token: token }
+      }
+    }));
+    return ws;
+  }
+
+  async function stop() {
+    if (child.exitCode === null) {
+      child.kill("SIGTERM");
+      const timer = setTimeout(() => child.kill("SIGKILL"), 5000);
+      await exited;
+      clearTimeout(timer);
+    }
+  }
+
+  return { baseUrl, request, form, openEvents, openMedia, stop };
+}
+
+/**
+ * Frames of speech then silence (20ms mu-law), enough for the VAD and
+ * the scripted recognizer to produce one utterance
+ */
+function utteranceFrames() {
+  const { encodeMulaw } = require("../../audio-utils");
+  const frames = [];
+
+  for (let n = 0; n < 100; n++) {
+    const pcm = Buffer.alloc(320);
+    if (n < 50) {
+      for (let i = 0; i < 160; i++) {
+        pcm.writeInt16LE(Math.round(6000 * Math.sin(2 * Math.PI * 200 * (n * 160 + i) / 8000)), i * 2);
+      }
+    }
+    frames.push(encodeMulaw(pcm));
+  }
+  return frames;
+}
+
+/**
+ * Stream frames on a media socket, paced a little faster than real time
+ */
+async function speak(ws, frames = utteranceFrames()) {
+  for (const frame of frames) {
+    ws.send(JSON.stringify({ event: "media", media: { payload: frame.toString("base64") } }));
+    await delay(2);
+  }
+}
+
+/**
+ * Wait until check() returns something truthy
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const startedAt = Date.now();
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() - startedAt > timeoutMs) throw new Error("Timed out waiting");
+    await delay(50);
+  }
+}
+
+module.exports = { startServer, speak, waitFor, delay };
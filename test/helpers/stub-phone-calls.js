@@ -0,0 +1,8 @@
+// Preloaded into the server under test: calls are "placed" without
+// reaching Twilio, so dial-out and call-status can run offline
+const phoneCalls = require("../../phone-calls");
+
+let calls = 0;
+
+phoneCalls.placeCall = async () => `CAtest${++calls}`;
+phoneCalls.hangUpCall = async () => {};
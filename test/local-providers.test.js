@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { buildWav } = require("../audio-utils");
+const { ScriptedRecognizer, DictionaryTranslator, ToneSynthesizer } = require("../local-providers");
+const { validateProviderConfig, resolveProviders } = require("../providers");
+
+function loudPcm(samples) {
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    pcm.writeInt16LE(Math.round(8000 * Math.sin(2 * Math.PI * 300 * i / 8000)), i * 2);
+  }
+  return pcm;
+}
+
+test("the scripted recognizer returns its lines in order and skips silence", async () => {
+  const recognizer = new ScriptedRecognizer({ script: ["hello", { transcript: "hola", language: "es-ES", confidence: 0.4 }] });
+
+  assert.strictEqual(await recognizer.recognize(Buffer.alloc(1600), { languageCode: "en-US" }), null);
+
+  const first = await recognizer.recognize(loudPcm(1600), { languageCode: "en-US" });
+  assert.strictEqual(first.transcript, "hello");
+  assert.strictEqual(first.confidence, 0.95);
+
+  const second = await recognizer.recognize(loudPcm(1600), { languageCode: "en-US" });
+  assert.deepStrictEqual(
+    { transcript: second.transcript, languageCode: second.languageCode, confidence: second.confidence },
+    { transcript: "hola", languageCode: "es-ES", confidence: 0.4 }
+  );
+});
+
+test("the dictionary translator prefers phrases, then words, in either direction", async () => {
+  const translator = new DictionaryTranslator();
+
+  assert.strictEqual(await translator.translate("How are you?", "en", "es"), "cómo estás");
+  assert.strictEqual(await translator.translate("yes, hello Sam", "en", "es"), "sí, hola Sam");
+  assert.strictEqual(await translator.translate("gracias", "es", "en"), "thank you");
+});
+
+test("the tone synthesizer lengthens with the word count", async () => {
+  const synthesizer = new ToneSynthesizer({ msPerWord: 250 });
+
+  const short = await synthesizer.synthesize({ text: "hello", voice: { languageCode: "en-US" } });
+  const long = await synthesizer.synthesize({ text: "hello there my friend", voice: { languageCode: "en-US" } });
+
+  // 8kHz mu-law: one byte per sample
+  assert.strictEqual(short.length, 8 * (200 + 250));
+  assert.strictEqual(long.length, 8 * (200 + 4 * 250));
+});
+
+test("the tone synthesizer looks clips up by the unescaped SSML text", async () => {
+  const clipDir = fs.mkdtempSync(path.join(os.tmpdir(), "clips-"));
+  try {
+    fs.mkdirSync(path.join(clipDir, "en"));
+    fs.writeFileSync(path.join(clipDir, "en", "rock-roll.wav"), buildWav(Buffer.alloc(800, 0x7F)));
+    const synthesizer = new ToneSynthesizer({ clipDir: clipDir });
+
+    const clip = await synthesizer.synthesize({ ssml: "<speak>Rock &amp; roll</speak>", voice: { languageCode: "en-US" } });
+    assert.strictEqual(clip.length, 800);
+  } finally {
+    fs.rmSync(clipDir, { recursive: true, force: true });
+  }
+});
+
+test("rooms can pick registered providers only", () => {
+  assert.strictEqual(validateProviderConfig({ stt: "local", tts: "local" }), null);
+  assert.ok(validateProviderConfig({ stt: "whisper" }));
+  assert.ok(validateProviderConfig({ speech: "local" }));
+
+  const providers = resolveProviders({ stt: "local", translate: "local", tts: "local" });
+  assert.ok(providers.recognizer instanceof ScriptedRecognizer);
+  assert.ok(providers.translator instanceof DictionaryTranslator);
+  assert.ok(providers.synthesizer instanceof ToneSynthesizer);
+});
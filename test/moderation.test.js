@@ -0,0 +1,64 @@
+process.env.LOG_LEVEL = "silent";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  normalizeModeration, findMatches, maskText, markText, omitMatches, splitForBleeps
+} = require("../moderation");
+
+const lists = {
+  "*": { words: ["darn"], patterns: [] },
+  en: { words: ["heck", "what the heck"], patterns: ["\\bfo+\\b"] }
+};
+
+test("findMatches prefers the longest phrase and skips overlaps", () => {
+  const matches = findMatches("What the heck, darn it", "en-US", lists);
+
+  assert.deepStrictEqual(matches, [
+    { index: 0, length: 13, marker: false },
+    { index: 15, length: 4, marker: false }
+  ]);
+});
+
+test("findMatches only flags whole words", () => {
+  assert.deepStrictEqual(findMatches("darnit, heckler", "en", lists), []);
+});
+
+test("findMatches applies patterns and the language's lists only", () => {
+  assert.strictEqual(findMatches("fooo", "en", lists).length, 1);
+  assert.deepStrictEqual(findMatches("heck fooo", "es", lists), []);
+});
+
+test("findMatches flags markers left by the source text", () => {
+  assert.deepStrictEqual(findMatches("que ⟦*⟧ dia", "es", {}), [
+    { index: 4, length: 3, marker: true }
+  ]);
+});
+
+test("matches are masked, marked and omitted", () => {
+  const text = "What the heck, darn it";
+  const matches = findMatches(text, "en", lists);
+
+  assert.strictEqual(maskText(text, matches), "*************, **** it");
+  assert.strictEqual(markText(text, matches), "⟦*⟧, ⟦*⟧ it");
+  assert.strictEqual(omitMatches("oh darn it", findMatches("oh darn it", "en", lists)), "oh it");
+});
+
+test("splitForBleeps puts a bleep where each match was", () => {
+  const parts = splitForBleeps("oh darn it", findMatches("oh darn it", "en", lists));
+
+  assert.deepStrictEqual(parts, [{ text: "oh" }, { bleepMs: 280 }, { text: "it" }]);
+});
+
+test("normalizeModeration accepts room words", () => {
+  const { moderation } = normalizeModeration({ mode: "mask", lists: { "en-GB": { words: [" bother "] } } });
+
+  assert.deepStrictEqual(moderation, { mode: "mask", lists: { en: { words: ["bother"], patterns: [] } } });
+});
+
+test("normalizeModeration rejects room patterns and bad input", () => {
+  assert.ok(normalizeModeration({ mode: "mask", lists: { en: { patterns: ["(a+)+$"] } } }).error);
+  assert.ok(normalizeModeration({ mode: "shout" }).error);
+  assert.ok(normalizeModeration({ mode: "drop", lists: { en: { words: "darn" } } }).error);
+  assert.ok(normalizeModeration({ mode: "drop", lists: { en: { words: ["x".repeat(101)] } } }).error);
+});
@@ -0,0 +1,100 @@
+process.env.LOG_LEVEL = "silent";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { normalizePhoneNumber, toCallStatus, isFinalCallStatus } = require("../phone-calls");
+const { startServer, waitFor, delay } = require("./helpers/server");
+
+test("phone numbers are normalized to E.164", () => {
+  assert.strictEqual(normalizePhoneNumber("+1 (415) 555-0100"), "+14155550100");
+  assert.strictEqual(normalizePhoneNumber("4155550100"), null);
+  assert.strictEqual(normalizePhoneNumber(14155550100), null);
+});
+
+test("Twilio call statuses map onto the participant's", () => {
+  assert.strictEqual(toCallStatus("in-progress"), "answered");
+  assert.strictEqual(toCallStatus("no-answer"), "no-answer");
+  assert.strictEqual(toCallStatus("bogus"), null);
+  assert.ok(isFinalCallStatus("completed"));
+  assert.ok(!isFinalCallStatus("ringing"));
+});
+
+test.describe("dialed legs", () => {
+  let server;
+
+  test.before(async () => {
+    server = await startServer();
+  });
+
+  test.after(() => server.stop());
+
+  async function roomWithDialedLeg(joiners) {
+    const created = (await server.request("POST", "/create-room", { body: { creatorLanguage: "en" } })).body;
+    for (let i = 0; i < joiners; i++) {
+      await server.request("POST", "/join-room", { body: { token: created.inviteToken, participantLanguage: "es" } });
+    }
+    const events = await server.openEvents(created.token);
+    const dialed = await server.request("POST", "/dial-out", {
+      token: created.token,
+      body: { phoneNumber: "+14155550100", language: "es" }
+    });
+    assert.strictEqual(dialed.status, 200);
+    return { created, events, leg: dialed.body };
+  }
+
+  function callStatus(room, status) {
+    const query = `roomId=${room.created.roomId}&userType=${room.leg.userType}`;
+    return server.form(`/twiml/call-status?${query}`, { CallSid: room.leg.callSid, CallStatus: status });
+  }
+
+  function types(events) {
+    return events.received.map(event => event.type);
+  }
+
+  test("a call that is never answered frees its slot and keeps the room", async () => {
+    const room = await roomWithDialedLeg(0);
+
+    await callStatus(room, "ringing");
+    await callStatus(room, "no-answer");
+
+    const info = await server.request("GET", "/room-info", { token: room.created.token });
+    assert.strictEqual(info.status, 200);
+    assert.deepStrictEqual(info.body.participants.map(p => p.userType), ["caller"]);
+    assert.ok(!types(room.events).includes("participant-left"));
+    room.events.close();
+  });
+
+  test("an answered call that hangs up after its stream stopped leaves the room", async () => {
+    const room = await roomWithDialedLeg(1);
+    await callStatus(room, "in-progress");
+
+    // The answer URL hands the stream its token
+    const twiml = await server.form(
+      `/twiml/dial-out?roomId=${room.created.roomId}&userType=${room.leg.userType}`,
+      { CallSid: room.leg.callSid }
+    );
+    const token = twiml.body.match(/name="token" value="([^"]+)"/)[1];
+    const media = await server.openMedia(room.created.roomId, room.leg.userType, token, "es");
+    await delay(200);
+
+    media.close();
+    await media.closed;
+    await delay(200);
+    await callStatus(room, "completed");
+
+    await waitFor(() => types(room.events).includes("participant-left"));
+    const info = await server.request("GET", "/room-info", { token: room.created.token });
+    assert.deepStrictEqual(info.body.participants.map(p => p.userType), ["caller", "receiver"]);
+    room.events.close();
+  });
+
+  test("the room closes when a hang-up leaves one person", async () => {
+    const room = await roomWithDialedLeg(0);
+    await callStatus(room, "in-progress");
+    await callStatus(room, "completed");
+
+    await waitFor(() => types(room.events).includes("room-closed"));
+    const info = await server.request("GET", "/room-info", { token: room.created.token });
+    assert.strictEqual(info.status, 404);
+  });
+});
@@ -0,0 +1,68 @@
+process.env.LOG_LEVEL = "silent";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { findRoomByPin, languageForDigit, MENU_LANGUAGES } = require("../phone-ivr");
+const { startServer, delay } = require("./helpers/server");
+
+test("PINs and menu digits resolve to rooms and languages", () => {
+  const sessions = new Map([["r1", { roomId: "r1", pin: "123456" }]]);
+
+  assert.strictEqual(findRoomByPin(sessions, "123456").roomId, "r1");
+  assert.strictEqual(findRoomByPin(sessions, "654321"), null);
+  assert.strictEqual(findRoomByPin(sessions, undefined), null);
+  assert.strictEqual(languageForDigit("1"), MENU_LANGUAGES[0]);
+  assert.strictEqual(languageForDigit("0"), null);
+});
+
+test.describe("dialing in with a PIN", () => {
+  let server;
+
+  test.before(async () => {
+    server = await startServer({ PIN_FAILURES_PER_CALLER: "2", MAX_CALL_MINUTES: "0.005" });
+  });
+
+  test.after(() => server.stop());
+
+  function enterPin(from, digits, attempt = 1) {
+    return server.form(`/twiml/inbound/pin?language=en&attempt=${attempt}`, {
+      From: from,
+      CallSid: `CA${from}${attempt}`,
+      Digits: digits
+    });
+  }
+
+  async function createRoom() {
+    return (await server.request("POST", "/create-room", { body: { creatorLanguage: "en" } })).body;
+  }
+
+  test("a caller that keeps entering wrong PINs is locked out, even on a new call", async () => {
+    const room = await createRoom();
+    const wrong = room.pin === "000000" ? "111111" : "000000";
+
+    assert.match((await enterPin("+15550101", wrong, 1)).body, /did not match/);
+    assert.match((await enterPin("+15550101", wrong, 2)).body, /Too many wrong PINs/);
+
+    // Hanging up and calling back with the right PIN doesn't help
+    const retry = await enterPin("+15550101", room.pin, 1);
+    assert.match(retry.body, /Too many wrong PINs/);
+    assert.doesNotMatch(retry.body, /<Stream/);
+
+    // Other callers are unaffected
+    assert.match((await enterPin("+15550102", room.pin, 1)).body, /<Stream/);
+  });
+
+  test("a room over its call-length limit takes no more callers", async () => {
+    const room = await createRoom();
+    const media = await server.openMedia(room.roomId, "caller", room.token, "en");
+    await delay(400);
+
+    const response = await enterPin("+15550103", room.pin, 1);
+    assert.match(response.body, /no longer taking calls/);
+    assert.doesNotMatch(response.body, /<Stream/);
+
+    const info = await server.request("GET", "/room-info", { token: room.token });
+    assert.deepStrictEqual(info.body.participants.map(p => p.userType), ["caller"]);
+    media.close();
+  });
+});
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const PlaybackQueue = require("../playback-queue");
+
+// A long lead sends every queued frame on the first pump
+function createQueue() {
+  const sent = [];
+  const queue = new PlaybackQueue(message => sent.push(message), { leadMs: 10000 });
+  return { queue, sent };
+}
+
+function tick() {
+  return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+test("a clip is sent as padded 20ms frames followed by its mark", async () => {
+  const { queue, sent } = createQueue();
+  const played = queue.enqueue(Buffer.alloc(400, 0x10));
+  await tick();
+
+  assert.deepStrictEqual(sent.map(m => m.event), ["media", "media", "media", "mark"]);
+  const last = Buffer.from(sent[2].media.payload, "base64");
+  assert.strictEqual(last.length, 160);
+  assert.strictEqual(last[79], 0x10);
+  assert.strictEqual(last[80], 0xFF);
+
+  assert.ok(queue.isPending());
+  assert.strictEqual(queue.handleMark(sent[3].mark.name), true);
+  assert.strictEqual(await played, "played");
+  assert.ok(!queue.isPending());
+});
+
+test("clips play in order", async () => {
+  const { queue, sent } = createQueue();
+  const started = [];
+  queue.enqueue(Buffer.alloc(160), { onStart: () => started.push("first") });
+  queue.enqueue(Buffer.alloc(160), { onStart: () => started.push("second") });
+  await tick();
+
+  assert.deepStrictEqual(started, ["first", "second"]);
+  assert.deepStrictEqual(sent.map(m => m.event), ["media", "mark", "media", "mark"]);
+  assert.strictEqual(queue.getStatus().depth, 2);
+});
+
+test("unknown marks are not ours", () => {
+  const { queue } = createQueue();
+
+  assert.strictEqual(queue.handleMark("someone_else"), false);
+});
+
+test("clear drops queued clips and flushes Twilio's buffer", async () => {
+  const { queue, sent } = createQueue();
+  const first = queue.enqueue(Buffer.alloc(160));
+  const second = queue.enqueue(Buffer.alloc(160));
+
+  assert.strictEqual(queue.clear(), 2);
+  assert.strictEqual(await first, "cleared");
+  assert.strictEqual(await second, "cleared");
+  assert.deepStrictEqual(sent, [{ event: "clear" }]);
+  assert.deepStrictEqual(queue.getStatus(), { depth: 0, remainingMs: 0 });
+});
+
+test("close drops clips without sending anything", async () => {
+  const { queue, sent } = createQueue();
+  const clip = queue.enqueue(Buffer.alloc(160));
+
+  assert.strictEqual(queue.close(), 1);
+  assert.strictEqual(await clip, "closed");
+  await tick();
+  assert.deepStrictEqual(sent, []);
+});
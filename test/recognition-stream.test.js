@@ -0,0 +1,132 @@
+process.env.LOG_LEVEL = "silent";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const RecognitionStream = require("../recognition-stream");
+
+// Provider stand-in: every createStream() is kept so tests can push results
+function fakeRecognizer() {
+  const streams = [];
+  return {
+    streams: streams,
+    createStream(config, callbacks) {
+      const stream = { config: config, callbacks: callbacks, frames: [], ended: false };
+      stream.write = frame => stream.frames.push(frame);
+      stream.end = () => { stream.ended = true; };
+      streams.push(stream);
+      return stream;
+    }
+  };
+}
+
+function collector(options = {}) {
+  const recognizer = fakeRecognizer();
+  const interims = [];
+  const finals = [];
+  const stream = new RecognitionStream(recognizer, {
+    languageCode: "en-US",
+    onInterim: result => interims.push(result.transcript),
+    onFinal: result => finals.push(result.transcript),
+    ...options
+  });
+  return { recognizer, stream, interims, finals };
+}
+
+const frame = Buffer.alloc(320);
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test("the provider stream opens on the first frame and routes interim and final results", () => {
+  const { recognizer, stream, interims, finals } = collector();
+  assert.strictEqual(recognizer.streams.length, 0);
+
+  stream.write(frame);
+  stream.write(frame);
+  const [provider] = recognizer.streams;
+  assert.strictEqual(provider.frames.length, 2);
+  assert.strictEqual(provider.config.languageCode, "en-US");
+
+  provider.callbacks.onResult({ transcript: "hel", isFinal: false });
+  provider.callbacks.onResult({ transcript: "hello", isFinal: true });
+  provider.callbacks.onResult({ transcript: "", isFinal: true });
+  assert.deepStrictEqual(interims, ["hel"]);
+  assert.deepStrictEqual(finals, ["hello"]);
+});
+
+test("past the soft limit the stream restarts at a final, and the old one drains its last finals", async () => {
+  const { recognizer, stream, interims, finals } = collector({ restartAfterMs: 1 });
+  stream.write(frame);
+  const [first] = recognizer.streams;
+
+  await delay(5);
+  first.callbacks.onResult({ transcript: "one", isFinal: true });
+  assert.ok(first.ended);
+  assert.strictEqual(stream.restarts, 1);
+
+  stream.write(frame);
+  const second = recognizer.streams[1];
+  assert.ok(second && second !== first);
+
+  // Late results from the draining stream: finals only
+  first.callbacks.onResult({ transcript: "tw", isFinal: false });
+  first.callbacks.onResult({ transcript: "two", isFinal: true });
+  first.callbacks.onEnd();
+  first.callbacks.onResult({ transcript: "three", isFinal: true });
+
+  assert.deepStrictEqual(interims, []);
+  assert.deepStrictEqual(finals, ["one", "two"]);
+  assert.strictEqual(stream.draining.size, 0);
+});
+
+test("past the hard limit the stream restarts mid-utterance", async () => {
+  const { recognizer, stream } = collector({ maxStreamMs: 1 });
+  stream.write(frame);
+  await delay(5);
+  stream.write(frame);
+
+  assert.strictEqual(recognizer.streams.length, 2);
+  assert.ok(recognizer.streams[0].ended);
+  assert.deepStrictEqual(recognizer.streams.map(s => s.frames.length), [1, 1]);
+  recognizer.streams[0].callbacks.onEnd();
+});
+
+test("an error drops the stream until the next frame; a draining stream's error ends its drain", () => {
+  const { recognizer, stream, finals } = collector();
+  stream.write(frame);
+  const [first] = recognizer.streams;
+
+  first.callbacks.onError(new Error("deadline exceeded"));
+  first.callbacks.onResult({ transcript: "lost", isFinal: true });
+  assert.strictEqual(stream.stream, null);
+  assert.deepStrictEqual(finals, []);
+
+  stream.write(frame);
+  const second = recognizer.streams[1];
+  stream.setLanguages("es-ES", ["en-US"]);
+  assert.ok(second.ended);
+  assert.strictEqual(stream.draining.size, 1);
+
+  second.callbacks.onError(new Error("cancelled"));
+  assert.strictEqual(stream.draining.size, 0);
+
+  stream.write(frame);
+  assert.strictEqual(recognizer.streams[2].config.languageCode, "es-ES");
+  assert.deepStrictEqual(recognizer.streams[2].config.alternativeLanguageCodes, ["en-US"]);
+});
+
+test("nothing is delivered or opened after close", () => {
+  const { recognizer, stream, finals } = collector();
+  stream.write(frame);
+  const [provider] = recognizer.streams;
+
+  stream.close();
+  assert.ok(provider.ended);
+  provider.callbacks.onResult({ transcript: "late", isFinal: true });
+  provider.callbacks.onEnd();
+  stream.write(frame);
+
+  assert.deepStrictEqual(finals, []);
+  assert.strictEqual(recognizer.streams.length, 1);
+});
@@ -0,0 +1,41 @@
+process.env.LOG_LEVEL = "silent";
+process.env.ROOM_TOKEN_SECRET = "test-secret";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createRoomToken, verifyRoomToken } = require("../room-auth");
+
+const claims = { roomId: "r1", role: "caller", identity: "user_1" };
+
+test("a signed token verifies to its claims", () => {
+  const verified = verifyRoomToken(createRoomToken(claims));
+
+  assert.strictEqual(verified.roomId, "r1");
+  assert.strictEqual(verified.role, "caller");
+  assert.strictEqual(verified.identity, "user_1");
+  assert.ok(verified.exp * 1000 > Date.now());
+});
+
+test("a token with an edited payload is rejected", () => {
+  const [, signature] = createRoomToken(claims).split(".");
+  const forged = Buffer.from(JSON.stringify({ ...claims, role: "receiver", exp: 9999999999 })).toString("base64url");
+
+  assert.strictEqual(verifyRoomToken(`${forged}.${signature}`), null);
+});
+
+test("a token with an edited signature is rejected", () => {
+  const token = createRoomToken(claims);
+  const last = token.slice(-1) === "A" ? "B" : "A";
+
+  assert.strictEqual(verifyRoomToken(token.slice(0, -1) + last), null);
+});
+
+test("an expired token is rejected", () => {
+  assert.strictEqual(verifyRoomToken(createRoomToken(claims, -1)), null);
+});
+
+test("malformed tokens are rejected", () => {
+  assert.strictEqual(verifyRoomToken(undefined), null);
+  assert.strictEqual(verifyRoomToken(""), null);
+  assert.strictEqual(verifyRoomToken("no-signature"), null);
+});
@@ -0,0 +1,177 @@
+process.env.LOG_LEVEL = "silent";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { EventEmitter } = require("events");
+const RoomEventHub = require("../room-events");
+
+// Stands in for a client WebSocket
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = 1;
+    this.sent = [];
+    this.closeCode = null;
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close(code) {
+    this.readyState = 3;
+    this.closeCode = code;
+    this.emit("close");
+  }
+
+  events() {
+    return this.sent.filter(message => message.id);
+  }
+}
+
+test("events get increasing ids per room", () => {
+  const hub = new RoomEventHub();
+
+  assert.strictEqual(hub.publish("a", "transcript", {}).id, 1);
+  assert.strictEqual(hub.publish("a", "transcript", {}).id, 2);
+  assert.strictEqual(hub.publish("b", "transcript", {}).id, 1);
+});
+
+test("a subscriber gets live events, and targeted ones only if they are its own", () => {
+  const hub = new RoomEventHub();
+  const ws = new FakeSocket();
+  hub.subscribe(ws, { roomId: "a", userType: "caller" });
+
+  hub.publish("a", "participant-joined", { userType: "receiver" });
+  hub.publish("a", "translation", { text: "hola" }, "caller");
+  hub.publish("a", "translation", { text: "hello" }, "receiver");
+  hub.publish("b", "participant-joined", {});
+
+  assert.deepStrictEqual(ws.events().map(e => [e.type, e.to]), [
+    ["participant-joined", null],
+    ["translation", "caller"]
+  ]);
+});
+
+test("a resuming subscriber gets what it missed", () => {
+  const hub = new RoomEventHub();
+  for (let i = 0; i < 5; i++) hub.publish("a", "transcript", { n: i });
+
+  const ws = new FakeSocket();
+  hub.subscribe(ws, { roomId: "a", userType: "caller", lastEventId: "3" });
+
+  assert.deepStrictEqual(ws.events().map(e => e.id), [4, 5]);
+  assert.deepStrictEqual(ws.sent[ws.sent.length - 1], { type: "subscribed", roomId: "a", lastEventId: 5 });
+});
+
+test("a subscriber whose gap rolled out of the log is told to resync", () => {
+  const hub = new RoomEventHub({ historySize: 2 });
+  for (let i = 0; i < 5; i++) hub.publish("a", "transcript", { n: i });
+
+  const ws = new FakeSocket();
+  hub.subscribe(ws, { roomId: "a", lastEventId: "1" });
+
+  assert.deepStrictEqual(ws.sent[0], { type: "resync-required", oldestEventId: 4 });
+  assert.deepStrictEqual(ws.events().map(e => e.id), [4, 5]);
+});
+
+test("client messages go to their handler, pings are answered", async () => {
+  const hub = new RoomEventHub();
+  const ws = new FakeSocket();
+  const received = [];
+  hub.onMessage("message", (subscriber, data) => received.push([subscriber.userType, data.text]));
+  hub.subscribe(ws, { roomId: "a", userType: "caller" });
+
+  ws.emit("message", JSON.stringify({ type: "ping" }));
+  ws.emit("message", JSON.stringify({ type: "message", text: "hi" }));
+  ws.emit("message", JSON.stringify({ type: "shout" }));
+  ws.emit("message", "not json");
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepStrictEqual(received, [["caller", "hi"]]);
+  assert.deepStrictEqual(ws.sent.slice(1).map(m => m.type), ["pong", "error", "error"]);
+});
+
+test("closed subscribers are forgotten, quiet rooms cleaned up", () => {
+  const hub = new RoomEventHub();
+  const ws = new FakeSocket();
+  hub.subscribe(ws, { roomId: "a" });
+  hub.publish("a", "transcript", {});
+
+  ws.close();
+  hub.cleanup(-1);
+  assert.strictEqual(hub.rooms.size, 0);
+});
+
+test("a subscriber that may no longer listen is disconnected on the next event", () => {
+  let allowed = true;
+  const hub = new RoomEventHub({ authorize: () => allowed });
+  const ws = new FakeSocket();
+  hub.subscribe(ws, { roomId: "a", userType: "receiver", identity: "user_1" });
+
+  hub.publish("a", "translation", {}, "receiver");
+  allowed = false;
+  hub.publish("a", "translation", {}, "receiver");
+
+  assert.strictEqual(ws.events().length, 1);
+  assert.strictEqual(ws.closeCode, 4003);
+});
+
+test("messages from a subscriber that may no longer listen are not handled", async () => {
+  let allowed = true;
+  const hub = new RoomEventHub({ authorize: () => allowed });
+  const ws = new FakeSocket();
+  const received = [];
+  hub.onMessage("message", (subscriber, data) => received.push(data.text));
+  hub.subscribe(ws, { roomId: "a", userType: "receiver", identity: "user_1" });
+
+  allowed = false;
+  ws.emit("message", JSON.stringify({ type: "message", text: "hi" }));
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepStrictEqual(received, []);
+  assert.strictEqual(ws.closeCode, 4003);
+});
+
+test("revalidate disconnects only the subscribers that lost access", () => {
+  const hub = new RoomEventHub({ authorize: subscriber => subscriber.identity !== "user_gone" });
+  const staying = new FakeSocket();
+  const leaving = new FakeSocket();
+  hub.subscribe(staying, { roomId: "a", userType: "caller", identity: "user_1" });
+  hub.subscribe(leaving, { roomId: "a", userType: "receiver", identity: "user_gone" });
+
+  hub.revalidate("a");
+
+  assert.strictEqual(staying.closeCode, null);
+  assert.strictEqual(leaving.closeCode, 4003);
+});
+
+test("a left participant's socket is closed and never gets its successor's events", async () => {
+  const { startServer } = require("./helpers/server");
+  const server = await startServer();
+
+  try {
+    const created = await server.request("POST", "/create-room", { body: { creatorLanguage: "en" } });
+    const invite = created.body.inviteToken;
+    const join = async () => (await server.request("POST", "/join-room", { body: { token: invite, participantLanguage: "es" } })).body;
+    const receiver = await join();
+    await join();
+
+    const oldEvents = await server.openEvents(receiver.token);
+    await server.request("POST", "/leave-room", { token: receiver.token });
+    assert.strictEqual(await oldEvents.closed, 4003);
+
+    const newcomer = await join();
+    assert.strictEqual(newcomer.userType, "receiver");
+
+    const sent = await server.request("POST", "/send-message", { token: created.body.token, body: { text: "hello" } });
+    assert.strictEqual(sent.status, 200);
+    assert.ok(!oldEvents.received.some(event => event.to === "receiver"));
+
+    // Its token is no good for typing as the newcomer either
+    const typed = await server.request("POST", "/send-message", { token: receiver.token, body: { text: "hi" } });
+    assert.strictEqual(typed.status, 403);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,121 @@
+process.env.LOG_LEVEL = "silent";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deriveRoomState, transitionRoom } = require("../room-lifecycle");
+const { startServer, waitFor, delay } = require("./helpers/server");
+
+function room(state, participants) {
+  return { roomId: "r1", state: state, participants: participants };
+}
+
+const connected = { connection: {} };
+const away = { connection: null };
+const dropped = { connection: null, reconnectDeadline: Date.now() + 30000 };
+
+test("deriveRoomState follows the connected legs", () => {
+  assert.strictEqual(deriveRoomState(room("created", [away, away])), "created");
+  assert.strictEqual(deriveRoomState(room("created", [connected, away])), "waiting");
+  assert.strictEqual(deriveRoomState(room("waiting", [connected, connected])), "active");
+  assert.strictEqual(deriveRoomState(room("active", [connected, away])), "waiting");
+  assert.strictEqual(deriveRoomState(room("active", [away, away])), "waiting");
+});
+
+test("deriveRoomState reports a leg inside its grace window", () => {
+  assert.strictEqual(deriveRoomState(room("active", [connected, dropped])), "reconnecting");
+});
+
+test("deriveRoomState never leaves ended", () => {
+  assert.strictEqual(deriveRoomState(room("ended", [connected, connected])), "ended");
+});
+
+test("transitionRoom applies allowed transitions", () => {
+  const session = room("created", []);
+
+  assert.deepStrictEqual(transitionRoom(session, "waiting"), { from: "created", to: "waiting" });
+  assert.deepStrictEqual(transitionRoom(session, "active"), { from: "waiting", to: "active" });
+  assert.strictEqual(session.state, "active");
+  assert.ok(session.stateChangedAt);
+});
+
+test("transitionRoom ignores no-ops and disallowed transitions", () => {
+  const session = room("created", []);
+
+  assert.strictEqual(transitionRoom(session, "created"), null);
+  assert.strictEqual(transitionRoom(session, "active"), null);
+  assert.strictEqual(session.state, "created");
+
+  transitionRoom(session, "ended");
+  assert.strictEqual(transitionRoom(session, "waiting"), null);
+  assert.strictEqual(session.state, "ended");
+});
+
+test.describe("rooms restored after a restart", () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "room-restore-"));
+  });
+
+  test.afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // A room whose two legs connected, then the server stopped
+  async function connectedRoom() {
+    const server = await startServer({ ROOM_STORE: "file", ROOM_STORE_DIR: dir });
+    const created = (await server.request("POST", "/create-room", { body: { creatorLanguage: "en" } })).body;
+    const joined = (await server.request("POST", "/join-room", {
+      body: { token: created.inviteToken, participantLanguage: "es" }
+    })).body;
+
+    const legs = [
+      await server.openMedia(created.roomId, "caller", created.token, "en"),
+      await server.openMedia(created.roomId, "receiver", joined.token, "es")
+    ];
+    await delay(200);
+    for (const leg of legs) {
+      leg.close();
+      await leg.closed;
+    }
+    await server.stop();
+    return created;
+  }
+
+  test("connected legs get the grace window to come back", async () => {
+    const created = await connectedRoom();
+    const server = await startServer({ ROOM_STORE: "file", ROOM_STORE_DIR: dir, RECONNECT_GRACE_SECONDS: "0.5" });
+
+    try {
+      const info = await server.request("GET", "/room-info", { token: created.token });
+      assert.strictEqual(info.body.state, "reconnecting");
+
+      await waitFor(async () =>
+        (await server.request("GET", "/room-info", { token: created.token })).status === 404
+      );
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test("without a configured token secret they are closed", async () => {
+    const created = await connectedRoom();
+    const server = await startServer({
+      ROOM_STORE: "file",
+      ROOM_STORE_DIR: dir,
+      ROOM_TOKEN_SECRET: "",
+      ADMIN_API_KEY: "admin"
+    });
+
+    try {
+      const rooms = await server.request("GET", "/admin/rooms", { token: "admin" });
+      assert.strictEqual(rooms.body.count, 0);
+
+      const record = await server.request("GET", `/admin/rooms/${created.roomId}`, { token: "admin" });
+      assert.strictEqual(record.body.state, "ended");
+    } finally {
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  createSession,
+  addParticipant,
+  getTokenParticipant,
+  toRecord,
+  toPublicRecord
+} = require("../room-session");
+
+test("participants get the historic userTypes, then numbered ones", () => {
+  const session = createSession("r1", { language: "en" }, 4);
+  const receiver = addParticipant(session, { language: "es" });
+  const third = addParticipant(session, { language: "hi" });
+
+  assert.deepStrictEqual([receiver.userType, third.userType], ["receiver", "participant-3"]);
+  addParticipant(session, {});
+  assert.strictEqual(addParticipant(session, {}), null);
+});
+
+test("a token only resolves to the participant it was issued to", () => {
+  const session = createSession("r1", { language: "en", identity: "user_1" });
+
+  assert.ok(getTokenParticipant(session, { role: "caller", identity: "user_1" }));
+  assert.strictEqual(getTokenParticipant(session, { role: "caller", identity: "user_2" }), null);
+  assert.strictEqual(getTokenParticipant(session, { role: "receiver", identity: "user_1" }), null);
+});
+
+test("the public record leaves out identities, phone numbers, call SIDs and the PIN", () => {
+  const session = createSession("r1", { language: "en", name: "Ann", identity: "user_1" });
+  const phone = addParticipant(session, { language: "es" });
+  phone.phoneNumber = "+15550100";
+  phone.callSid = "CA123";
+  session.pin = "123456";
+
+  const shown = toPublicRecord({ ...toRecord(session), endedAt: 5 });
+
+  assert.deepStrictEqual(shown, {
+    roomId: "r1",
+    state: "created",
+    createdAt: session.createdAt,
+    endedAt: 5,
+    participants: [
+      { userType: "caller", name: "Ann", language: "en", joinedAt: session.participants[0].joinedAt },
+      { userType: "receiver", name: null, language: "es", joinedAt: phone.joinedAt }
+    ]
+  });
+});
+
+test("/room-history returns the public record", async () => {
+  const { startServer } = require("./helpers/server");
+  const server = await startServer();
+
+  try {
+    const created = await server.request("POST", "/create-room", { body: { creatorLanguage: "en" } });
+    const history = await server.request("GET", "/room-history", { token: created.body.token });
+
+    assert.strictEqual(history.status, 200);
+    assert.deepStrictEqual(Object.keys(history.body.room.participants[0]), ["userType", "name", "language", "joinedAt"]);
+    assert.strictEqual(history.body.room.pin, undefined);
+  } finally {
+    await server.stop();
+  }
+});
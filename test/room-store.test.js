@@ -0,0 +1,118 @@
+process.env.LOG_LEVEL = "silent";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MemoryRoomStore, FileRoomStore } = require("../room-store");
+const { createSession, addParticipant } = require("../room-session");
+
+const dirs = [];
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "room-store-"));
+  dirs.push(dir);
+  return dir;
+}
+
+test.after(() => {
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function room(roomId) {
+  const session = createSession(roomId, { language: "en", identity: "user_1" });
+  addParticipant(session, { language: "es", identity: "user_2" });
+  return session;
+}
+
+function utterance(text, timestamp) {
+  return { originalText: text, translatedText: text, isIncoming: false, timestamp: timestamp };
+}
+
+test("the memory store keeps ended rooms queryable until pruned", () => {
+  const store = new MemoryRoomStore();
+  store.set("r1", room("r1"));
+  store.addUtterance("r1", "caller", utterance("hello", 1));
+
+  assert.strictEqual(store.delete("r1"), true);
+  assert.strictEqual(store.has("r1"), false);
+  assert.ok(store.getRoomRecord("r1").endedAt);
+  assert.strictEqual(store.listRooms().length, 0);
+  assert.strictEqual(store.listRooms({ includeEnded: true }).length, 1);
+  assert.strictEqual(store.getUtterances("r1", { userType: "caller" }).length, 1);
+
+  store.prune(-1);
+  assert.strictEqual(store.getRoomRecord("r1"), null);
+});
+
+test("saves are coalesced into one snapshot per room, written on flush", async () => {
+  const dir = tempDir();
+  const store = new FileRoomStore(dir);
+  const session = room("r1");
+
+  for (let i = 0; i < 50; i++) {
+    session.audioMs = i;
+    store.set("r1", session);
+  }
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+
+  await store.flush();
+  assert.deepStrictEqual(fs.readdirSync(dir), ["r1.json"]);
+  assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, "r1.json"), "utf8")).audioMs, 49);
+});
+
+test("utterances are appended and restored with the live room", async () => {
+  const dir = tempDir();
+  const store = new FileRoomStore(dir);
+  store.set("r1", room("r1"));
+  store.addUtterance("r1", "caller", utterance("hello", 1));
+  await store.flush();
+  store.addUtterance("r1", "receiver", utterance("hola", 2));
+  await store.flush();
+
+  const lines = fs.readFileSync(path.join(dir, "r1.jsonl"), "utf8").trim().split("\n");
+  assert.strictEqual(lines.length, 2);
+
+  const restored = new FileRoomStore(dir);
+  assert.strictEqual(restored.has("r1"), true);
+  assert.strictEqual(restored.get("r1").participants[0].connection, null);
+  assert.deepStrictEqual(restored.getUtterances("r1").map(u => u.originalText), ["hello", "hola"]);
+});
+
+test("ended rooms are indexed on load and read from disk on demand", async () => {
+  const dir = tempDir();
+  const store = new FileRoomStore(dir);
+  const session = room("r1");
+  session.accountId = "acme";
+  store.set("r1", session);
+  store.addUtterance("r1", "caller", utterance("hello", 1));
+  store.delete("r1");
+  store.set("r2", room("r2"));
+  await store.flush();
+
+  const restored = new FileRoomStore(dir);
+  assert.strictEqual(restored.has("r1"), false);
+  assert.strictEqual(restored.has("r2"), true);
+
+  const ended = restored.listRooms({ includeEnded: true }).find(r => r.roomId === "r1");
+  assert.deepStrictEqual(Object.keys(ended).sort(), ["accountId", "createdAt", "endedAt", "roomId"]);
+  assert.strictEqual(restored.listRooms().length, 1);
+
+  assert.strictEqual(restored.getRoomRecord("r1").participants.length, 2);
+  assert.deepStrictEqual(restored.getUtterances("r1").map(u => u.originalText), ["hello"]);
+});
+
+test("rooms saved as room lines before snapshots still load", () => {
+  const dir = tempDir();
+  const record = { ...JSON.parse(JSON.stringify(room("r1"))), kind: "room" };
+  fs.writeFileSync(path.join(dir, "r1.jsonl"), [
+    JSON.stringify(record),
+    JSON.stringify({ kind: "utterance", roomId: "r1", userType: "caller", ...utterance("hello", 1) }),
+    "{\"torn"
+  ].join("\n"));
+
+  const store = new FileRoomStore(dir);
+  assert.strictEqual(store.get("r1").participants.length, 2);
+  assert.strictEqual(store.getUtterances("r1").length, 1);
+});
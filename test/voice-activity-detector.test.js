@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const VoiceActivityDetector = require("../voice-activity-detector");
+
+const FRAME_SAMPLES = 160;  // 20ms at 8kHz
+
+function silentFrame() {
+  return Buffer.alloc(FRAME_SAMPLES * 2);
+}
+
+function speechFrame() {
+  const frame = Buffer.alloc(FRAME_SAMPLES * 2);
+  for (let i = 0; i < FRAME_SAMPLES; i++) {
+    frame.writeInt16LE(Math.round(8000 * Math.sin(2 * Math.PI * 300 * i / 8000)), i * 2);
+  }
+  return frame;
+}
+
+function feed(vad, frame, count) {
+  const results = [];
+  for (let i = 0; i < count; i++) results.push(vad.process(frame));
+  return results;
+}
+
+const options = { startMs: 80, hangoverMs: 500, preRollMs: 200, maxUtteranceMs: 15000 };
+
+test("silence stays idle", () => {
+  const vad = new VoiceActivityDetector(options);
+
+  assert.ok(feed(vad, silentFrame(), 50).every(r => r.event === "idle"));
+});
+
+test("an utterance starts with pre-roll and ends after the hangover", () => {
+  const vad = new VoiceActivityDetector(options);
+  feed(vad, silentFrame(), 20);
+
+  const opening = feed(vad, speechFrame(), 4);
+  assert.deepStrictEqual(opening.map(r => r.event), ["idle", "idle", "idle", "start"]);
+  // 200ms pre-roll + 80ms confirmed speech
+  assert.strictEqual(opening[3].frames.length, 14);
+
+  assert.ok(feed(vad, speechFrame(), 20).every(r => r.event === "speech"));
+
+  const closing = feed(vad, silentFrame(), 25);
+  assert.ok(closing.slice(0, 24).every(r => r.event === "speech"));
+  assert.strictEqual(closing[24].event, "end");
+  assert.strictEqual(closing[24].durationMs, 200 + 80 + 400 + 500);
+});
+
+test("a short burst does not open an utterance", () => {
+  const vad = new VoiceActivityDetector(options);
+  feed(vad, silentFrame(), 20);
+
+  const results = [...feed(vad, speechFrame(), 3), ...feed(vad, silentFrame(), 10)];
+  assert.ok(results.every(r => r.event === "idle"));
+});
+
+test("long speech is cut at maxUtteranceMs", () => {
+  const vad = new VoiceActivityDetector({ ...options, maxUtteranceMs: 1000 });
+
+  const results = feed(vad, speechFrame(), 60);
+  const end = results.findIndex(r => r.event === "end");
+  assert.strictEqual(results[end].durationMs, 1000);
+  assert.strictEqual(results[end + 1].event, "idle");
+});
+
+test("normalizeOptions keeps known numeric options, clamped", () => {
+  assert.deepStrictEqual(
+    VoiceActivityDetector.normalizeOptions({ hangoverMs: 50, thresholdDb: 12, maxZcr: 1e9, floorAdaptRate: 1, startMs: "80" }),
+    { hangoverMs: 100, thresholdDb: 12, maxZcr: 8000 }
+  );
+});
+
+test("normalizeOptions returns null when nothing is usable", () => {
+  assert.strictEqual(VoiceActivityDetector.normalizeOptions(null), null);
+  assert.strictEqual(VoiceActivityDetector.normalizeOptions({ hangoverMs: NaN, foo: 1 }), null);
+});
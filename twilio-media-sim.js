@@ -0,0 +1,503 @@
+#!/usr/bin/env node
+// ===========================
+// 📞 Twilio Media Stream Simulator
+// Creates a room over REST, then opens two /media-stream WebSockets that
+// behave like Twilio: start -> paced 20ms mu-law media -> stop.
+// Records what each leg hears (plus mark events) and prints per-utterance
+// latency. --rooms N runs N simulated rooms at once for load testing.
+// ===========================
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const WebSocket = require("ws");
+const { SAMPLE_RATE, encodeMulaw, parseWav, wavToMulaw, buildWav } = require("./audio-utils");
+
+const USAGE = `Usage: node twilio-media-sim.js [options]
+  --server <url>         Backend base URL (default http://localhost:5000)
+  --ws-url <url>         Media stream URL (default derived from --server)
+  --caller <a.wav,...>   Caller utterances (default: synthetic tone)
+  --receiver <c.wav,...> Receiver utterances (default: synthetic tone)
+  --caller-lang <code>   Caller language (default en)
+  --receiver-lang <code> Receiver language (default hi)
+  --gap <ms>             Silence after each utterance (default 1500)
+  --tail <ms>            Silence at the end, waiting for replies (default 5000)
+  --out <dir>            Save what each leg heard as WAV + marks JSON
+  --rooms <n>            Simulated rooms at once (load mode when > 1)
+  --ramp <ms>            Delay between room starts in load mode (default 200)
+
+Load mode creates every room from one IP, so the server's per-owner room cap
+and create-room rate limit apply. For more than 3 rooms, start the server with
+e.g. MAX_ROOMS_PER_IDENTITY=100 RATE_LIMITS=create-room=100,join-room=100`;
+
+const FRAME_MS = 20;
+const FRAME_BYTES = SAMPLE_RATE * FRAME_MS / 1000;  // 160 mu-law bytes
+const MULAW_SILENCE = 0xFF;
+
+// =====================================
+// ARGUMENTS
+// =====================================
+function parseArgs(argv) {
+  const args = {
+    server: "http://localhost:5000",
+    wsUrl: null,
+    caller: [],
+    receiver: [],
+    callerLang: "en",
+    receiverLang: "hi",
+    gap: 1500,
+    tail: 5000,
+    out: null,
+    rooms: 1,
+    ramp: 200
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, "").replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+    const value = argv[i + 1];
+
+    if (key === "help" || key === "h") {
+      args.help = true;
+      continue;
+    }
+    if (!(key in args) || value === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+
+    if (Array.isArray(args[key])) {
+      args[key] = value.split(",").filter(Boolean);
+    } else if (typeof args[key] === "number") {
+      args[key] = Number(value);
+    } else {
+      args[key] = value;
+    }
+    i++;
+  }
+
+  args.wsUrl = args.wsUrl || args.server.replace(/^http/, "ws").replace(/\/$/, "") + "/media-stream";
+  return args;
+}
+
+// =====================================
+// HELPERS
+// =====================================
+function postJson(baseUrl, route, body) {
+  const url = new URL(route, baseUrl);
+  const payload = JSON.stringify(body);
+  const client = url.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(payload) }
+    }, (res) => {
+      let data = "";
+      res.on("data", chunk => data += chunk);
+      res.on("end", () => {
+        try {
+          const json = JSON.parse(data);
+          if (res.statusCode >= 400) {
+            reject(new Error(`${route} failed (${res.statusCode}): ${json.error || data}`));
+          } else {
+            resolve(json);
+          }
+        } catch (error) {
+          reject(new Error(`${route} returned invalid JSON`));
+        }
+      });
+    });
+    req.on("error", reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * Load utterances as 8000Hz mu-law buffers. Without files, a synthetic
+ * voiced tone stands in (enough for the local providers and the VAD).
+ */
+function loadUtterances(files) {
+  if (files.length === 0) {
+    return [{ name: "synthetic-tone", audio: syntheticUtterance(1500) }];
+  }
+  return files.map(file => ({
+    name: path.basename(file),
+    audio: wavToMulaw(parseWav(fs.readFileSync(file)))
+  }));
+}
+
+function syntheticUtterance(durationMs) {
+  const sampleCount = SAMPLE_RATE * durationMs / 1000;
+  const pcm = Buffer.alloc(sampleCount * 2);
+
+  for (let i = 0; i < sampleCount; i++) {
+    const t = i / SAMPLE_RATE;
+    const envelope = Math.min(1, i / 400, (sampleCount - i) / 400);
+    const value = (Math.sin(2 * Math.PI * 140 * t) + 0.5 * Math.sin(2 * Math.PI * 280 * t)) * 4000 * envelope;
+    pcm.writeInt16LE(Math.round(value), i * 2);
+  }
+  return encodeMulaw(pcm);
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p / 100 * sorted.length))];
+}
+
+// =====================================
+// SIMULATED LEG
+// =====================================
+class SimulatedLeg {
+  constructor(options) {
+    this.roomId = options.roomId;
+    this.userType = options.userType;
+    this.language = options.language;
+    this.wsUrl = options.wsUrl;
+    this.customParameters = options.customParameters || {};
+    this.log = options.log;
+
+    this.streamSid = `MZsim${Math.random().toString(16).slice(2, 14)}`;
+    this.callSid = `CAsim${Math.random().toString(16).slice(2, 14)}`;
+    this.sequenceNumber = 0;
+    this.chunk = 0;
+
+    // Outbound: frames still to send, and where each utterance ends
+    this.outbound = [];
+    this.utteranceEnds = new Map();  // frame index -> utterance info
+
+    // Inbound: what the server sent, played back at real time
+    this.playback = [];              // { audio } | { mark }
+    this.recording = [];
+    this.marks = [];
+    this.startedAt = 0;
+
+    // Utterances of the *other* leg waiting for audio here
+    this.awaitingAudio = [];
+    this.receivingClip = false;
+    this.latencies = [];
+    this.peer = null;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      this.ws = new WebSocket(this.wsUrl);
+      this.ws.on("open", resolve);
+      this.ws.on("error", reject);
+      this.ws.on("message", (message) => this.handleServerMessage(JSON.parse(message)));
+    });
+  }
+
+  send(payload) {
+    if (this.ws.readyState !== WebSocket.OPEN) return;
+    this.sequenceNumber++;
+    this.ws.send(JSON.stringify({ ...payload, sequenceNumber: String(this.sequenceNumber) }));
+  }
+
+  sendStart() {
+    this.ws.send(JSON.stringify({ event: "connected", protocol: "Call", version: "1.0.0" }));
+    this.send({
+      event: "start",
+      streamSid: this.streamSid,
+      start: {
+        accountSid: "ACsimulator",
+        streamSid: this.streamSid,
+        callSid: this.callSid,
+        tracks: ["inbound"],
+        customParameters: {
+          roomId: this.roomId,
+          userType: this.userType,
+          myLanguage: this.language,
+          ...this.customParameters
+        },
+        mediaFormat: { encoding: "audio/x-mulaw", sampleRate: SAMPLE_RATE, channels: 1 }
+      }
+    });
+  }
+
+  /**
+   * Queue utterances as frames, with silence between them
+   */
+  queueUtterances(utterances, { leadMs, gapMs, tailMs }) {
+    const silenceFrame = Buffer.alloc(FRAME_BYTES, MULAW_SILENCE);
+    const addSilence = (ms) => {
+      for (let i = 0; i < ms / FRAME_MS; i++) this.outbound.push(silenceFrame);
+    };
+
+    addSilence(leadMs);
+    utterances.forEach((utterance, index) => {
+      for (let offset = 0; offset < utterance.audio.length; offset += FRAME_BYTES) {
+        const frame = Buffer.alloc(FRAME_BYTES, MULAW_SILENCE);
+        utterance.audio.copy(frame, 0, offset, Math.min(offset + FRAME_BYTES, utterance.audio.length));
+        this.outbound.push(frame);
+      }
+      this.utteranceEnds.set(this.outbound.length, { index: index, name: utterance.name });
+      addSilence(gapMs);
+    });
+    addSilence(tailMs);
+  }
+
+  /**
+   * One 20ms tick: send a frame, play 20ms of what we received
+   */
+  tick(frameIndex) {
+    if (this.utteranceEnds.has(frameIndex)) {
+      const utterance = this.utteranceEnds.get(frameIndex);
+      this.peer.awaitingAudio.push({ ...utterance, speaker: this.userType, endedAt: Date.now() });
+    }
+
+    const frame = this.outbound[frameIndex];
+    if (frame) {
+      this.chunk++;
+      this.send({
+        event: "media",
+        streamSid: this.streamSid,
+        media: {
+          track: "inbound",
+          chunk: String(this.chunk),
+          timestamp: String(this.chunk * FRAME_MS),
+          payload: frame.toString("base64")
+        }
+      });
+    }
+
+    this.playFrame();
+    return frameIndex + 1 < this.outbound.length;
+  }
+
+  playFrame() {
+    const out = Buffer.alloc(FRAME_BYTES, MULAW_SILENCE);
+    let filled = 0;
+
+    while (this.playback.length > 0) {
+      const head = this.playback[0];
+
+      if (head.mark) {
+        // Twilio echoes a mark once everything before it has played
+        this.playback.shift();
+        this.echoMark(head.mark, "played");
+        continue;
+      }
+      if (filled === FRAME_BYTES) break;
+
+      const take = Math.min(FRAME_BYTES - filled, head.audio.length);
+      head.audio.copy(out, filled, 0, take);
+      filled += take;
+      head.audio = head.audio.subarray(take);
+      if (head.audio.length === 0) this.playback.shift();
+    }
+
+    this.recording.push(out);
+  }
+
+  echoMark(name, reason) {
+    this.marks.push({ name: name, reason: reason, atMs: Date.now() - this.startedAt });
+    this.send({ event: "mark", streamSid: this.streamSid, mark: { name: name } });
+  }
+
+  handleServerMessage(message) {
+    switch (message.event) {
+      case "media": {
+        const audio = Buffer.from(message.media.payload, "base64");
+        this.playback.push({ audio: audio });
+
+        // First audio after the other leg stopped speaking = its latency
+        if (!this.receivingClip && this.awaitingAudio.length > 0) {
+          const utterance = this.awaitingAudio.shift();
+          this.latencies.push({ ...utterance, latencyMs: Date.now() - utterance.endedAt });
+        }
+        this.receivingClip = true;
+        break;
+      }
+      case "mark":
+        this.playback.push({ mark: message.mark.name });
+        this.receivingClip = false;
+        break;
+      case "clear":
+        // Drop queued audio; pending marks come back immediately
+        for (const item of this.playback.filter(i => i.mark)) {
+          this.echoMark(item.mark, "cleared");
+        }
+        this.playback = [];
+        this.receivingClip = false;
+        break;
+      default:
+        this.log(`   ${this.userType} got ${message.event}`);
+    }
+  }
+
+  stop() {
+    this.send({
+      event: "stop",
+      streamSid: this.streamSid,
+      stop: { accountSid: "ACsimulator", callSid: this.callSid }
+    });
+    this.ws.close();
+  }
+
+  saveRecording(outDir) {
+    const base = path.join(outDir, `room-${this.roomId}-${this.userType}`);
+    fs.writeFileSync(`${base}.wav`, buildWav(Buffer.concat(this.recording)));
+    fs.writeFileSync(`${base}-marks.json`, JSON.stringify(this.marks, null, 2));
+    return `${base}.wav`;
+  }
+}
+
+// =====================================
+// ROOM RUN
+// =====================================
+async function runRoom(args, index, log) {
+  const created = await postJson(args.server, "/create-room", {
+    creatorLanguage: args.callerLang,
+    creatorName: `sim-caller-${index}`
+  });
+  const tokens = [created.token];
+
+  try {
+    const joined = await postJson(args.server, "/join-room", {
+      token: created.inviteToken,
+      participantLanguage: args.receiverLang,
+      participantName: `sim-receiver-${index}`
+    });
+    tokens.push(joined.token);
+    return await streamRoom(args, created, joined, log);
+  } finally {
+    // Leave so the room doesn't count against the owner's cap until it expires
+    await Promise.all(tokens.map(token =>
+      postJson(args.server, "/leave-room", { token: token }).catch(() => {})
+    ));
+  }
+}
+
+async function streamRoom(args, created, joined, log) {
+
+  const caller = new SimulatedLeg({
+    roomId: created.roomId,
+    userType: created.userType || "caller",
+    language: args.callerLang,
+    wsUrl: args.wsUrl,
+    customParameters: { token: created.token },
+    log: log
+  });
+  const receiver = new SimulatedLeg({
+    roomId: created.roomId,
+    userType: joined.userType || "receiver",
+    language: args.receiverLang,
+    wsUrl: args.wsUrl,
+    customParameters: { token: joined.token },
+    log: log
+  });
+  caller.peer = receiver;
+  receiver.peer = caller;
+
+  const legs = [caller, receiver];
+  await Promise.all(legs.map(leg => leg.connect()));
+  legs.forEach(leg => leg.sendStart());
+
+  caller.queueUtterances(loadUtterances(args.caller), { leadMs: 500, gapMs: args.gap, tailMs: args.tail });
+  // Receiver answers once the caller is done
+  receiver.queueUtterances(loadUtterances(args.receiver), {
+    leadMs: caller.outbound.length * FRAME_MS - args.tail,
+    gapMs: args.gap,
+    tailMs: args.tail
+  });
+
+  log(`▶️  Room ${created.roomId}: streaming ${caller.outbound.length + receiver.outbound.length} frames`);
+
+  // Real-time pacing against a fixed clock (no drift)
+  const startedAt = Date.now();
+  legs.forEach(leg => leg.startedAt = startedAt);
+
+  await new Promise((resolve) => {
+    let frameIndex = 0;
+    const step = () => {
+      const more = legs.map(leg => leg.tick(frameIndex)).some(Boolean);
+      frameIndex++;
+      if (!more) return resolve();
+      setTimeout(step, Math.max(0, startedAt + frameIndex * FRAME_MS - Date.now()));
+    };
+    step();
+  });
+
+  legs.forEach(leg => leg.stop());
+
+  const files = args.out ? legs.map(leg => leg.saveRecording(args.out)) : [];
+
+  return {
+    roomId: created.roomId,
+    latencies: legs.flatMap(leg => leg.latencies),
+    unanswered: legs.flatMap(leg => leg.awaitingAudio),
+    marks: legs.reduce((n, leg) => n + leg.marks.length, 0),
+    files: files
+  };
+}
+
+// =====================================
+// MAIN
+// =====================================
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (args.out) {
+    fs.mkdirSync(args.out, { recursive: true });
+  }
+
+  const loadMode = args.rooms > 1;
+  const log = loadMode ? () => {} : (line) => console.log(line);
+
+  console.log(`📞 Simulating ${args.rooms} room(s) against ${args.server}`);
+
+  const runs = [];
+  for (let i = 0; i < args.rooms; i++) {
+    runs.push(runRoom(args, i, log).catch(error => ({ error: error.message })));
+    if (args.ramp > 0 && i < args.rooms - 1) {
+      await new Promise(resolve => setTimeout(resolve, args.ramp));
+    }
+  }
+  const results = await Promise.all(runs);
+
+  const failed = results.filter(r => r.error);
+  const ok = results.filter(r => !r.error);
+  const latencies = ok.flatMap(r => r.latencies);
+
+  if (!loadMode) {
+    for (const r of ok) {
+      console.log(`\n📊 Room ${r.roomId}`);
+      for (const l of r.latencies) {
+        console.log(`   ${l.speaker} #${l.index + 1} (${l.name}): ${l.latencyMs}ms`);
+      }
+      for (const u of r.unanswered) {
+        console.log(`   ${u.speaker} #${u.index + 1} (${u.name}): no audio received`);
+      }
+      console.log(`   Marks echoed: ${r.marks}`);
+      r.files.forEach(file => console.log(`   💾 ${file}`));
+    }
+  }
+
+  const values = latencies.map(l => l.latencyMs);
+  console.log(`
+📈 Summary
+   Rooms: ${ok.length} ok, ${failed.length} failed
+   Utterances answered: ${latencies.length}, unanswered: ${ok.reduce((n, r) => n + r.unanswered.length, 0)}
+   Latency ms: min ${values.length ? Math.min(...values) : "-"} / p50 ${percentile(values, 50) ?? "-"} / p95 ${percentile(values, 95) ?? "-"} / max ${values.length ? Math.max(...values) : "-"}`);
+
+  failed.forEach(f => console.log(`   ❌ ${f.error}`));
+  if (failed.some(f => f.error.includes("(429)"))) {
+    console.log("   💡 Rooms were rate limited; see --help for the server overrides load mode needs");
+  }
+  process.exitCode = failed.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Simulator error:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { SimulatedLeg, runRoom, parseArgs };
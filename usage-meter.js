@@ -0,0 +1,131 @@
+// ===========================
+// 🧾 Usage Meter - What each room used, and what it cost
+// Usage is kept on the session per participant (the speaker whose
+// speech caused it), with a breakdown by language ("en") for STT and by
+// language pair ("en:hi") for translation and synthesis.
+// ===========================
+
+const fs = require("fs");
+const { createLogger } = require("./logger");
+
+const log = createLogger("usage");
+
+// List prices; override with RATE_CARD (JSON) or RATE_CARD_PATH (JSON file)
+const DEFAULT_RATE_CARD = {
+  currency: "USD",
+  sttPerMinute: 0.024,
+  translationPerMillionChars: 20,
+  ttsPerMillionChars: 16
+};
+
+const RATE_CARD = loadRateCard();
+
+function loadRateCard() {
+  try {
+    if (process.env.RATE_CARD_PATH) {
+      return { ...DEFAULT_RATE_CARD, ...JSON.parse(fs.readFileSync(process.env.RATE_CARD_PATH, "utf8")) };
+    }
+    if (process.env.RATE_CARD) {
+      return { ...DEFAULT_RATE_CARD, ...JSON.parse(process.env.RATE_CARD) };
+    }
+  } catch (error) {
+    log.error("Invalid rate card, using defaults", { error: error });
+  }
+  return { ...DEFAULT_RATE_CARD };
+}
+
+function emptyUsage() {
+  return { sttMs: 0, translatedChars: 0, synthesizedChars: 0 };
+}
+
+function addInto(target, usage) {
+  target.sttMs += usage.sttMs || 0;
+  target.translatedChars += usage.translatedChars || 0;
+  target.synthesizedChars += usage.synthesizedChars || 0;
+}
+
+/**
+ * Add usage to a session (caller saves the session)
+ * @param {Object} session
+ * @param {string} userType - Speaker the usage belongs to
+ * @param {Object} usage - { sttMs, translatedChars, synthesizedChars }
+ * @param {string} key - Language ("en") or language pair ("en:hi")
+ */
+function recordUsage(session, userType, usage, key) {
+  session.usage = session.usage || { participants: {} };
+
+  const participant = session.usage.participants[userType] ||
+    (session.usage.participants[userType] = { ...emptyUsage(), breakdown: {} });
+  addInto(participant, usage);
+
+  const entry = participant.breakdown[key] || (participant.breakdown[key] = emptyUsage());
+  addInto(entry, usage);
+}
+
+/**
+ * @param {Object} usage - { sttMs, translatedChars, synthesizedChars }
+ * @returns {number} Cost in the rate card's currency
+ */
+function priceUsage(usage, rateCard = RATE_CARD) {
+  const cost = usage.sttMs / 60000 * rateCard.sttPerMinute +
+    usage.translatedChars / 1e6 * rateCard.translationPerMillionChars +
+    usage.synthesizedChars / 1e6 * rateCard.ttsPerMillionChars;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+function priced(usage, rateCard) {
+  return { ...usage, cost: priceUsage(usage, rateCard) };
+}
+
+/**
+ * Priced usage for a set of room records
+ * @param {Array<Object>} records - Room records (live or ended)
+ * @param {Object} [rateCard]
+ * @returns {Object} { currency, rateCard, rooms: [...], totals }
+ */
+function buildUsageReport(records, rateCard = RATE_CARD) {
+  const totals = emptyUsage();
+
+  const rooms = records.map(record => {
+    const roomTotals = emptyUsage();
+    const participants = {};
+
+    for (const [userType, usage] of Object.entries(record.usage?.participants || {})) {
+      const breakdown = {};
+      for (const [key, entry] of Object.entries(usage.breakdown || {})) {
+        breakdown[key] = priced(entry, rateCard);
+      }
+
+      participants[userType] = {
+        ...priced({ sttMs: usage.sttMs, translatedChars: usage.translatedChars, synthesizedChars: usage.synthesizedChars }, rateCard),
+        breakdown: breakdown
+      };
+      addInto(roomTotals, usage);
+    }
+
+    addInto(totals, roomTotals);
+
+    return {
+      roomId: record.roomId,
+      accountId: record.accountId || null,
+      createdAt: record.createdAt,
+      endedAt: record.endedAt || null,
+      participants: participants,
+      totals: priced(roomTotals, rateCard)
+    };
+  });
+
+  return {
+    currency: rateCard.currency,
+    rateCard: rateCard,
+    rooms: rooms,
+    totals: priced(totals, rateCard)
+  };
+}
+
+module.exports = {
+  RATE_CARD,
+  recordUsage,
+  priceUsage,
+  buildUsageReport
+};
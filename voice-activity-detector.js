@@ -0,0 +1,165 @@
+// ===========================
+// 🗣️ Voice Activity Detector - Utterance segmentation
+// Frame energy + zero-crossing rate against an adaptive noise floor.
+// Marks speech start/end with pre-roll and hangover, so downstream
+// stages only ever see whole utterances.
+// ===========================
+
+const { rms, zeroCrossingRate } = require("./audio-utils");
+
+const DEFAULTS = {
+  startMs: parseInt(process.env.VAD_START_MS) || 80,            // speech needed to open an utterance
+  hangoverMs: parseInt(process.env.VAD_HANGOVER_MS) || 500,     // silence needed to close it
+  preRollMs: parseInt(process.env.VAD_PREROLL_MS) || 200,       // audio kept from before the start
+  maxUtteranceMs: parseInt(process.env.VAD_MAX_UTTERANCE_MS) || 15000,
+  thresholdDb: parseFloat(process.env.VAD_THRESHOLD_DB) || 9,   // margin above the noise floor
+  minEnergyDb: parseFloat(process.env.VAD_MIN_ENERGY_DB) || 40, // absolute floor for speech
+  maxZcr: parseInt(process.env.VAD_MAX_ZCR) || 3200,            // crossings/sec; above is hiss
+  floorAdaptRate: 0.05
+};
+
+// Options a room may tune, and the range each is clamped to
+const TUNABLE_RANGES = {
+  startMs: [20, 1000],
+  hangoverMs: [100, 3000],
+  preRollMs: [0, 1000],
+  maxUtteranceMs: [1000, 30000],
+  thresholdDb: [0, 40],
+  minEnergyDb: [0, 90],
+  maxZcr: [500, 8000]
+};
+
+class VoiceActivityDetector {
+  /**
+   * Room VAD tuning from a request body: known options only, each
+   * clamped to its range
+   * @param {Object} input - e.g. { hangoverMs: 700 }
+   * @returns {Object|null} Options, or null if none are usable
+   */
+  static normalizeOptions(input) {
+    if (!input || typeof input !== "object") return null;
+
+    const options = {};
+    for (const [key, [min, max]] of Object.entries(TUNABLE_RANGES)) {
+      const value = input[key];
+      if (typeof value === "number" && Number.isFinite(value)) {
+        options[key] = Math.min(max, Math.max(min, value));
+      }
+    }
+    return Object.keys(options).length > 0 ? options : null;
+  }
+
+  /**
+   * @param {Object} [options] - Overrides for DEFAULTS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+
+    this.noiseFloorDb = 30;
+    this.inSpeech = false;
+    this.candidate = [];     // speech frames not yet confirmed as an utterance
+    this.candidateMs = 0;
+    this.preRoll = [];
+    this.preRollMs = 0;
+    this.utteranceMs = 0;
+    this.silenceMs = 0;
+  }
+
+  /**
+   * Classify one frame and update the noise floor
+   * @param {Buffer} pcmFrame - PCM audio (16-bit, 8000Hz)
+   * @returns {boolean}
+   */
+  isSpeechFrame(pcmFrame) {
+    const energyDb = 20 * Math.log10(rms(pcmFrame) + 1);
+    const zcr = zeroCrossingRate(pcmFrame);
+    const { thresholdDb, minEnergyDb, maxZcr, floorAdaptRate } = this.options;
+
+    const loudEnough = energyDb >= minEnergyDb && energyDb >= this.noiseFloorDb + thresholdDb;
+    // Noise-like frames (high ZCR) only count when clearly loud
+    const speechLike = zcr <= maxZcr || energyDb >= this.noiseFloorDb + 2 * thresholdDb;
+    const isSpeech = loudEnough && speechLike;
+
+    if (!isSpeech) {
+      // Follow the floor quickly down, slowly up
+      const rate = energyDb < this.noiseFloorDb ? 0.3 : floorAdaptRate;
+      this.noiseFloorDb += (energyDb - this.noiseFloorDb) * rate;
+    }
+
+    return isSpeech;
+  }
+
+  /**
+   * Feed one frame
+   * @param {Buffer} pcmFrame - PCM audio (16-bit, 8000Hz)
+   * @returns {Object} { event: "idle" | "start" | "speech" | "end", frames, durationMs }
+   *   start: frames = pre-roll + confirmed speech
+   *   speech: frames = [pcmFrame] (includes hangover)
+   *   end: utterance closed, durationMs = its length
+   */
+  process(pcmFrame) {
+    const frameMs = pcmFrame.length / 2 / 8;
+    const isSpeech = this.isSpeechFrame(pcmFrame);
+
+    if (!this.inSpeech) {
+      if (!isSpeech) {
+        // Unconfirmed speech becomes pre-roll
+        for (const frame of this.candidate) this.pushPreRoll(frame);
+        this.candidate = [];
+        this.candidateMs = 0;
+        this.pushPreRoll(pcmFrame);
+        return { event: "idle", frames: [] };
+      }
+
+      this.candidate.push(pcmFrame);
+      this.candidateMs += frameMs;
+
+      if (this.candidateMs < this.options.startMs) {
+        return { event: "idle", frames: [] };
+      }
+
+      const frames = this.preRoll.concat(this.candidate);
+      this.inSpeech = true;
+      this.utteranceMs = this.preRollMs + this.candidateMs;
+      this.silenceMs = 0;
+      this.preRoll = [];
+      this.preRollMs = 0;
+      this.candidate = [];
+      this.candidateMs = 0;
+
+      return { event: "start", frames: frames };
+    }
+
+    this.utteranceMs += frameMs;
+    this.silenceMs = isSpeech ? 0 : this.silenceMs + frameMs;
+
+    if (this.silenceMs >= this.options.hangoverMs || this.utteranceMs >= this.options.maxUtteranceMs) {
+      const durationMs = this.utteranceMs;
+      this.reset();
+      return { event: "end", frames: [pcmFrame], durationMs: durationMs };
+    }
+
+    return { event: "speech", frames: [pcmFrame] };
+  }
+
+  pushPreRoll(pcmFrame) {
+    this.preRoll.push(pcmFrame);
+    this.preRollMs += pcmFrame.length / 2 / 8;
+
+    while (this.preRollMs > this.options.preRollMs && this.preRoll.length > 1) {
+      this.preRollMs -= this.preRoll.shift().length / 2 / 8;
+    }
+  }
+
+  reset() {
+    this.inSpeech = false;
+    this.candidate = [];
+    this.candidateMs = 0;
+    this.preRoll = [];
+    this.preRollMs = 0;
+    this.utteranceMs = 0;
+    this.silenceMs = 0;
+  }
+}
+
+module.exports = VoiceActivityDetector;
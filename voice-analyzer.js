@@ -3,6 +3,11 @@
 // Analyzes pitch, speed, and energy from audio
 // ===========================
 
+const { rms, zeroCrossingRate } = require("./audio-utils");
+const { createLogger } = require("./logger");
+
+const log = createLogger("tts");
+
 class VoiceAnalyzer {
   constructor() {
     // Cache for user voice profiles
@@ -36,7 +41,7 @@ class VoiceAnalyzer {
 
       return profile;
     } catch (error) {
-      console.error("❌ Voice analysis error:", error.message);
+      log.error("Voice analysis error", { userId: userId, error: error });
       return this.getDefaultProfile();
     }
   }
@@ -106,20 +111,7 @@ class VoiceAnalyzer {
    */
   detectSpeed(pcmBuffer) {
     // Count zero crossings to estimate speech rate
-    let zeroCrossings = 0;
-    let prevSample = 0;
-
-    for (let i = 0; i < pcmBuffer.length; i += 2) {
-      const sample = pcmBuffer.readInt16LE(i);
-      if ((prevSample >= 0 && sample < 0) || (prevSample < 0 && sample >= 0)) {
-        zeroCrossings++;
-      }
-      prevSample = sample;
-    }
-
-    // Normalize to rate (crossings per second)
-    const durationSeconds = pcmBuffer.length / 2 / 8000;
-    const crossingRate = zeroCrossings / durationSeconds;
+    const crossingRate = zeroCrossingRate(pcmBuffer);
 
     // Map crossing rate to speaking speed
     // Typical: 100-300 crossings/sec
@@ -147,30 +139,21 @@ class VoiceAnalyzer {
    * @returns {number} Energy in dB (-10 to +10)
    */
   detectEnergy(pcmBuffer) {
-    let sumSquares = 0;
-    let sampleCount = 0;
-
-    for (let i = 0; i < pcmBuffer.length; i += 2) {
-      const sample = pcmBuffer.readInt16LE(i);
-      sumSquares += sample * sample;
-      sampleCount++;
-    }
-
-    const rms = Math.sqrt(sumSquares / sampleCount);
+    const level = rms(pcmBuffer);
     
     // Convert to dB and map to volume adjustment
     // Quiet: < 1000, Normal: 1000-3000, Loud: > 3000
     let volumeAdjustment = 0;
 
-    if (rms < 1000) {
+    if (level < 1000) {
       // Quiet speaker
-      volumeAdjustment = 5 + (rms / 1000) * 5;
-    } else if (rms < 3000) {
+      volumeAdjustment = 5 + (level / 1000) * 5;
+    } else if (level < 3000) {
       // Normal volume
       volumeAdjustment = 0;
     } else {
       // Loud speaker
-      volumeAdjustment = -5 - ((rms - 3000) / 3000) * 5;
+      volumeAdjustment = -5 - ((level - 3000) / 3000) * 5;
     }
 
     // Clamp between -10 and +10
@@ -188,6 +171,19 @@ class VoiceAnalyzer {
     return pitch < 0 ? 'male' : 'female';
   }
 
+  /**
+   * Gender from the averaged pitch, with hysteresis so one odd
+   * utterance does not flip the voice
+   * @param {string} current - Gender so far
+   * @param {number} pitch - Averaged pitch
+   * @returns {string}
+   */
+  smoothGender(current, pitch) {
+    if (current === 'male' && pitch <= 2) return 'male';
+    if (current === 'female' && pitch >= -2) return 'female';
+    return this.detectGender(pitch);
+  }
+
   /**
    * Update user's voice profile with running average
    * @param {string} userId
@@ -198,11 +194,12 @@ class VoiceAnalyzer {
 
     if (existing) {
       // Running average for smoother results
+      const pitch = Math.round((existing.pitch * 0.7 + newProfile.pitch * 0.3));
       const updated = {
-        pitch: Math.round((existing.pitch * 0.7 + newProfile.pitch * 0.3)),
+        pitch: pitch,
         speed: existing.speed * 0.7 + newProfile.speed * 0.3,
         energy: Math.round((existing.energy * 0.7 + newProfile.energy * 0.3)),
-        gender: newProfile.gender,
+        gender: this.smoothGender(existing.gender, pitch),
         timestamp: Date.now(),
         samples: (existing.samples || 1) + 1
       };
@@ -0,0 +1,82 @@
+// ===========================
+// 🎭 Voice Matcher - Speaker profile -> synthesis voice and settings
+// Picks a gender-appropriate voice per language and maps the speaker's
+// pitch, speed and loudness into TTS audio settings.
+// ===========================
+
+// Google voices per language, by gender
+const VOICES = {
+  "en-US": {
+    male: ["en-US-Neural2-D", "en-US-Neural2-J", "en-US-Neural2-I", "en-US-Neural2-A"],
+    female: ["en-US-Neural2-F", "en-US-Neural2-C", "en-US-Neural2-E", "en-US-Neural2-H"]
+  },
+  "te-IN": {
+    male: ["te-IN-Standard-B"],
+    female: ["te-IN-Standard-A"]
+  },
+  "hi-IN": {
+    male: ["hi-IN-Neural2-B", "hi-IN-Neural2-C"],
+    female: ["hi-IN-Neural2-A", "hi-IN-Neural2-D"]
+  },
+  "es-ES": {
+    male: ["es-ES-Neural2-B", "es-ES-Neural2-F"],
+    female: ["es-ES-Neural2-A", "es-ES-Neural2-C", "es-ES-Neural2-D"]
+  },
+  "fr-FR": {
+    male: ["fr-FR-Neural2-B", "fr-FR-Neural2-D"],
+    female: ["fr-FR-Neural2-A", "fr-FR-Neural2-C", "fr-FR-Neural2-E"]
+  },
+  "de-DE": {
+    male: ["de-DE-Neural2-B", "de-DE-Neural2-D"],
+    female: ["de-DE-Neural2-A", "de-DE-Neural2-C", "de-DE-Neural2-F"]
+  }
+};
+
+// Typical analyzer pitch for each gender; synthesis only follows the
+// speaker's deviation from it, since the voice already sets the register
+const PITCH_BASELINE = { male: -5, female: 5 };
+
+/**
+ * Pick a voice for a speaker. The same speaker always gets the same
+ * voice; different speakers of one gender are spread over the list.
+ * @param {string} languageCode - e.g. "en-US"
+ * @param {string} gender - "male" | "female"
+ * @param {string} speakerKey - Stable id of the speaker
+ * @returns {Object|null} { languageCode, name, ssmlGender }
+ */
+function selectVoice(languageCode, gender, speakerKey) {
+  const voices = VOICES[languageCode]?.[gender];
+  if (!voices || voices.length === 0) return null;
+
+  let hash = 0;
+  for (const ch of String(speakerKey)) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+
+  return {
+    languageCode: languageCode,
+    name: voices[hash % voices.length],
+    ssmlGender: gender === "male" ? "MALE" : "FEMALE"
+  };
+}
+
+/**
+ * Map a VoiceAnalyzer profile to TTS audio settings
+ * @param {Object} profile - { pitch (-20..20), speed (0.75..1.5), energy (-10..10), gender }
+ * @returns {Object} { pitch (semitones), speakingRate, volumeGainDb }
+ */
+function mapProfileToAudioConfig(profile) {
+  const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+  const baseline = PITCH_BASELINE[profile.gender] || 0;
+
+  return {
+    pitch: Math.round(clamp((profile.pitch - baseline) * 0.3, -4, 4) * 10) / 10,
+    speakingRate: Math.round(clamp(profile.speed, 0.85, 1.25) * 100) / 100,
+    // Analyzer energy is a compensation (quiet speaker -> positive), so
+    // invert it to follow the speaker: loud in, loud out
+    volumeGainDb: Math.round(clamp(1.5 - profile.energy * 0.3, -3, 6) * 10) / 10
+  };
+}
+
+module.exports = {
+  selectVoice,
+  mapProfileToAudioConfig
+};